@@ -0,0 +1,288 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./QuorumGovernance.sol";
+
+/**
+ * @title AgentApplications
+ * @notice Self-service registration for QuorumGovernance: prospective agents apply with an ETH
+ *         bond, and the owner or a governance vote approves or rejects them
+ * @dev The bond is refunded when a pending application is withdrawn or rejected, stays staked
+ *      while the agent is active and can be slashed to the governance treasury for proven
+ *      misbehavior. Once the agent is deactivated, the owner or governance releases what is left
+ *      of the bond, so it cannot be withdrawn ahead of a pending slash. Refunds for rejections
+ *      and releases are credited and claimed with claimRefund. Approval calls registerAgent,
+ *      so this contract needs REGISTRAR_ROLE; once the governance contract is self-governed,
+ *      the approving proposal must call registerAgent itself before approveApplication.
+ */
+contract AgentApplications {
+    
+    // ============ State Variables ============
+    
+    /// @notice Governance contract agents are registered with
+    QuorumGovernance public immutable governance;
+    
+    /// @notice Minimum ETH bond an application must carry
+    uint256 public minimumBond;
+    
+    /// @notice Applicants whose application is pending, in no particular order
+    address[] public pendingApplicants;
+    
+    // ============ Structs ============
+    
+    enum ApplicationStatus {
+        None,
+        Pending,
+        Approved,
+        Rejected,
+        Withdrawn
+    }
+    
+    struct Application {
+        string metadata;
+        uint256 bond; // Wei still held for the applicant
+        uint256 appliedAt;
+        ApplicationStatus status;
+    }
+    
+    // ============ Mappings ============
+    
+    /// @notice Applicant => latest application
+    mapping(address => Application) public applications;
+    
+    /// @dev Applicant => position in pendingApplicants + 1 (0 = not pending)
+    mapping(address => uint256) private _pendingIndex;
+    
+    /// @notice Address => wei credited by rejectApplication or releaseBond, awaiting claimRefund
+    mapping(address => uint256) public refunds;
+    
+    // ============ Events ============
+    
+    event ApplicationSubmitted(address indexed applicant, uint256 bond, string metadata);
+    event ApplicationWithdrawn(address indexed applicant, uint256 refund);
+    event ApplicationApproved(address indexed applicant, uint256 votingPower, address indexed approvedBy);
+    event ApplicationRejected(address indexed applicant, uint256 refund, address indexed rejectedBy);
+    event BondSlashed(address indexed agent, uint256 amount, bytes32 indexed evidenceHash);
+    event BondReleased(address indexed agent, uint256 amount, address indexed releasedBy);
+    event RefundClaimed(address indexed account, uint256 amount);
+    event MinimumBondUpdated(uint256 oldBond, uint256 newBond);
+    
+    // ============ Modifiers ============
+    
+    /// @dev The owner or the governance contract before self-governance, only the governance contract after
+    modifier onlyOwnerOrGovernance() {
+        if (governance.selfGoverned()) {
+            require(msg.sender == address(governance), "Only governance");
+        } else {
+            require(
+                msg.sender == governance.owner() || msg.sender == address(governance),
+                "Not authorized"
+            );
+        }
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _governance Governance contract agents are registered with
+     * @param _minimumBond Minimum ETH bond an application must carry
+     */
+    constructor(address _governance, uint256 _minimumBond) {
+        require(_governance != address(0), "Invalid address");
+        governance = QuorumGovernance(payable(_governance));
+        minimumBond = _minimumBond;
+    }
+    
+    // ============ Applications ============
+    
+    /**
+     * @notice Apply to become an agent, bonding the ETH sent
+     * @param _metadata IPFS hash or metadata identifier the agent will be registered with
+     */
+    function applyAsAgent(string calldata _metadata) external payable {
+        require(msg.value >= minimumBond, "Bond too low");
+        require(!governance.getAgent(msg.sender).isRegistered, "Already registered");
+        require(applications[msg.sender].status != ApplicationStatus.Pending, "Application pending");
+        
+        applications[msg.sender] = Application({
+            metadata: _metadata,
+            bond: msg.value,
+            appliedAt: block.timestamp,
+            status: ApplicationStatus.Pending
+        });
+        pendingApplicants.push(msg.sender);
+        _pendingIndex[msg.sender] = pendingApplicants.length;
+        
+        emit ApplicationSubmitted(msg.sender, msg.value, _metadata);
+    }
+    
+    /**
+     * @notice Withdraw a pending application and get the bond back
+     */
+    function withdrawApplication() external {
+        Application storage application = _pendingApplication(msg.sender);
+        
+        uint256 refund = application.bond;
+        application.bond = 0;
+        application.status = ApplicationStatus.Withdrawn;
+        _removePending(msg.sender);
+        
+        emit ApplicationWithdrawn(msg.sender, refund);
+        _sendValue(msg.sender, refund);
+    }
+    
+    /**
+     * @notice Approve a pending application and register the applicant as an agent
+     * @dev The bond stays staked. Registration is skipped if the applicant is already registered,
+     *      e.g. by an earlier action of the same proposal.
+     * @param _applicant Address of the applicant
+     * @param _votingPower Voting power to register the agent with
+     */
+    function approveApplication(address _applicant, uint256 _votingPower)
+        external
+        onlyOwnerOrGovernance
+    {
+        Application storage application = _pendingApplication(_applicant);
+        
+        application.status = ApplicationStatus.Approved;
+        _removePending(_applicant);
+        
+        if (!governance.getAgent(_applicant).isRegistered) {
+            governance.registerAgent(_applicant, _votingPower, application.metadata);
+        }
+        
+        emit ApplicationApproved(_applicant, _votingPower, msg.sender);
+    }
+    
+    /**
+     * @notice Reject a pending application and credit its bond for claimRefund
+     * @dev Credited rather than sent, so an applicant that rejects ETH cannot block its rejection
+     * @param _applicant Address of the applicant
+     */
+    function rejectApplication(address _applicant) external onlyOwnerOrGovernance {
+        Application storage application = _pendingApplication(_applicant);
+        
+        uint256 refund = application.bond;
+        application.bond = 0;
+        application.status = ApplicationStatus.Rejected;
+        _removePending(_applicant);
+        
+        refunds[_applicant] += refund;
+        
+        emit ApplicationRejected(_applicant, refund, msg.sender);
+    }
+    
+    // ============ Bonds ============
+    
+    /**
+     * @notice Slash an approved agent's bond for proven misbehavior
+     * @dev Slashed ETH goes to the governance contract, where proposals can spend it
+     * @param _agent Address of the agent
+     * @param _amount Wei to slash
+     * @param _evidenceHash Hash of the evidence, e.g. of an IPFS report
+     */
+    function slashBond(address _agent, uint256 _amount, bytes32 _evidenceHash)
+        external
+        onlyOwnerOrGovernance
+    {
+        Application storage application = applications[_agent];
+        require(application.status == ApplicationStatus.Approved, "Not an approved agent");
+        require(_amount > 0 && _amount <= application.bond, "Invalid amount");
+        
+        application.bond -= _amount;
+        
+        emit BondSlashed(_agent, _amount, _evidenceHash);
+        _sendValue(address(governance), _amount);
+    }
+    
+    /**
+     * @notice Release a deactivated agent's remaining bond, crediting it for claimRefund
+     * @dev Settle any slash first: a released bond can no longer be slashed
+     * @param _agent Address of the agent
+     */
+    function releaseBond(address _agent) external onlyOwnerOrGovernance {
+        Application storage application = applications[_agent];
+        require(application.status == ApplicationStatus.Approved, "Not an approved agent");
+        require(application.bond > 0, "No bond");
+        require(!governance.getAgent(_agent).isActive, "Agent still active");
+        
+        uint256 amount = application.bond;
+        application.bond = 0;
+        refunds[_agent] += amount;
+        
+        emit BondReleased(_agent, amount, msg.sender);
+    }
+    
+    /**
+     * @notice Claim ETH credited to the caller by a rejection or a bond release
+     */
+    function claimRefund() external {
+        uint256 amount = refunds[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        refunds[msg.sender] = 0;
+        
+        emit RefundClaimed(msg.sender, amount);
+        _sendValue(msg.sender, amount);
+    }
+    
+    /**
+     * @notice Change the bond required from new applications
+     * @param _newMinimumBond Minimum bond in wei
+     */
+    function updateMinimumBond(uint256 _newMinimumBond) external onlyOwnerOrGovernance {
+        uint256 oldBond = minimumBond;
+        minimumBond = _newMinimumBond;
+        emit MinimumBondUpdated(oldBond, _newMinimumBond);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Get all applicants whose application is pending
+     * @return Array of applicant addresses
+     */
+    function getPendingApplicants() external view returns (address[] memory) {
+        return pendingApplicants;
+    }
+    
+    /**
+     * @notice Get an applicant's latest application
+     * @param _applicant Address of the applicant
+     * @return Application struct data
+     */
+    function getApplication(address _applicant) external view returns (Application memory) {
+        return applications[_applicant];
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Load an application that must be pending
+     */
+    function _pendingApplication(address _applicant) internal view returns (Application storage application) {
+        application = applications[_applicant];
+        require(application.status == ApplicationStatus.Pending, "No pending application");
+    }
+    
+    /**
+     * @dev Swap-and-pop an applicant out of pendingApplicants
+     */
+    function _removePending(address _applicant) internal {
+        uint256 index = _pendingIndex[_applicant] - 1;
+        address last = pendingApplicants[pendingApplicants.length - 1];
+        
+        pendingApplicants[index] = last;
+        _pendingIndex[last] = index + 1;
+        pendingApplicants.pop();
+        delete _pendingIndex[_applicant];
+    }
+    
+    /**
+     * @dev Send ETH, reverting if the recipient rejects it
+     */
+    function _sendValue(address _to, uint256 _amount) internal {
+        (bool success, ) = _to.call{value: _amount}("");
+        require(success, "Transfer failed");
+    }
+}
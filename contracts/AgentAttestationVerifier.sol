@@ -0,0 +1,217 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./QuorumGovernance.sol";
+
+/**
+ * @title AgentAttestationVerifier
+ * @notice Verifies QuorumGovernance agents from off-chain attestations signed by M of N attesters
+ * @dev Attesters sign an EIP-712 Attestation over the agent, the hash of its registered metadata
+ *      and an expiry; anyone may submit the signatures. The verifier calls verifyAgentUntil, so
+ *      it must hold VERIFIER_ROLE on the governance contract or be its attestationVerifier; only
+ *      the latter keeps working once the governance contract is self-governed. Attesters and the
+ *      threshold are managed by VERIFIER_ROLE holders, or only by the governance contract itself
+ *      once it is self-governed.
+ */
+contract AgentAttestationVerifier {
+    
+    // ============ State Variables ============
+    
+    /// @notice Governance contract whose agents are verified
+    QuorumGovernance public immutable governance;
+    
+    /// @notice EIP-712 typehash for attestations
+    bytes32 public constant ATTESTATION_TYPEHASH =
+        keccak256("Attestation(address agent,bytes32 metadataHash,uint256 expiry)");
+    
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    
+    /// @notice Number of attester signatures an attestation needs
+    uint256 public threshold;
+    
+    /// @notice Number of registered attesters
+    uint256 public attesterCount;
+    
+    // ============ Mappings ============
+    
+    /// @notice Address => whether it may sign attestations
+    mapping(address => bool) public isAttester;
+    
+    /// @notice Attestation struct hash => whether it has been submitted
+    mapping(bytes32 => bool) public attestationUsed;
+    
+    // ============ Events ============
+    
+    event AttesterAdded(address indexed attester);
+    event AttesterRemoved(address indexed attester);
+    event ThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event AgentAttested(address indexed agent, bytes32 metadataHash, uint256 expiry, address indexed submitter);
+    
+    // ============ Modifiers ============
+    
+    modifier onlyGovernance() {
+        if (governance.selfGoverned()) {
+            require(msg.sender == address(governance), "Only governance");
+        } else {
+            require(governance.hasRole(governance.VERIFIER_ROLE(), msg.sender), "Missing role");
+        }
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _governance Governance contract whose agents are verified
+     * @param _attesters Initial attesters
+     * @param _threshold Signatures required per attestation (1 to the number of attesters)
+     */
+    constructor(address _governance, address[] memory _attesters, uint256 _threshold) {
+        require(_governance != address(0), "Invalid address");
+        governance = QuorumGovernance(payable(_governance));
+        
+        for (uint256 i = 0; i < _attesters.length; i++) {
+            _addAttester(_attesters[i]);
+        }
+        _setThreshold(_threshold);
+    }
+    
+    // ============ Attestations ============
+    
+    /**
+     * @notice Verify an agent with attester signatures over its attestation
+     * @dev Signatures must be ordered by strictly increasing signer address, which rules out
+     *      counting one attester twice. Each attestation can be submitted once. The verification it
+     *      grants lapses at the expiry, or earlier if the governance contract's verification TTL
+     *      runs out first.
+     * @param _agent Agent to verify
+     * @param _metadataHash keccak256 of the agent's registered metadata string
+     * @param _expiry Timestamp at which the attestation, and the verification it grants, expire
+     * @param _signatures 65-byte ECDSA signatures over the Attestation struct
+     */
+    function submitAttestation(
+        address _agent,
+        bytes32 _metadataHash,
+        uint256 _expiry,
+        bytes[] calldata _signatures
+    ) external {
+        require(block.timestamp < _expiry, "Attestation expired");
+        require(_signatures.length >= threshold, "Not enough signatures");
+        require(
+            keccak256(bytes(governance.getAgent(_agent).metadata)) == _metadataHash,
+            "Metadata mismatch"
+        );
+        
+        bytes32 structHash = keccak256(abi.encode(ATTESTATION_TYPEHASH, _agent, _metadataHash, _expiry));
+        require(!attestationUsed[structHash], "Attestation already used");
+        attestationUsed[structHash] = true;
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            address signer = _recoverSigner(digest, _signatures[i]);
+            require(signer > lastSigner, "Signers not in order");
+            require(isAttester[signer], "Not an attester");
+            lastSigner = signer;
+        }
+        
+        governance.verifyAgentUntil(_agent, _expiry);
+        
+        emit AgentAttested(_agent, _metadataHash, _expiry, msg.sender);
+    }
+    
+    /**
+     * @notice EIP-712 domain separator for attestations
+     * @return Domain separator for this contract on the current chain
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                _DOMAIN_TYPEHASH,
+                keccak256(bytes("AgentAttestationVerifier")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+    
+    /**
+     * @dev Recover the signer of an EIP-712 digest, rejecting malleable signatures
+     */
+    function _recoverSigner(bytes32 _digest, bytes calldata _signature) internal pure returns (address) {
+        require(_signature.length == 65, "Invalid signature");
+        
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+        
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        
+        return signer;
+    }
+    
+    // ============ Attester Management ============
+    
+    /**
+     * @notice Allow an address to sign attestations
+     * @param _attester Address of the attester
+     */
+    function addAttester(address _attester) external onlyGovernance {
+        _addAttester(_attester);
+    }
+    
+    /**
+     * @notice Stop accepting an attester's signatures
+     * @dev The threshold must stay reachable with the remaining attesters
+     * @param _attester Address of the attester
+     */
+    function removeAttester(address _attester) external onlyGovernance {
+        require(isAttester[_attester], "Not an attester");
+        require(attesterCount - 1 >= threshold, "Threshold above attester count");
+        
+        isAttester[_attester] = false;
+        attesterCount--;
+        
+        emit AttesterRemoved(_attester);
+    }
+    
+    /**
+     * @notice Change how many attester signatures an attestation needs
+     * @param _newThreshold Signatures required (1 to attesterCount)
+     */
+    function updateThreshold(uint256 _newThreshold) external onlyGovernance {
+        _setThreshold(_newThreshold);
+    }
+    
+    /**
+     * @dev Register an attester without access checks
+     */
+    function _addAttester(address _attester) internal {
+        require(_attester != address(0), "Invalid address");
+        require(!isAttester[_attester], "Already an attester");
+        
+        isAttester[_attester] = true;
+        attesterCount++;
+        
+        emit AttesterAdded(_attester);
+    }
+    
+    /**
+     * @dev Validate and store the threshold
+     */
+    function _setThreshold(uint256 _newThreshold) internal {
+        require(_newThreshold > 0 && _newThreshold <= attesterCount, "Invalid threshold");
+        
+        uint256 oldThreshold = threshold;
+        threshold = _newThreshold;
+        
+        emit ThresholdUpdated(oldThreshold, _newThreshold);
+    }
+}
@@ -0,0 +1,270 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev The parts of QuorumGovernance the registry uses for access control
+ */
+interface IGovernanceAccess {
+    function PARAMETER_ADMIN_ROLE() external view returns (bytes32);
+    function hasRole(bytes32 role, address account) external view returns (bool);
+    function selfGoverned() external view returns (bool);
+}
+
+/**
+ * @title ProposalCategoryRegistry
+ * @notice Named proposal categories for QuorumGovernance, each with its own quorum, voting
+ *         delay/period, counting strategy and allowed target/function pairs
+ * @dev Administered like the governance parameters: by PARAMETER_ADMIN_ROLE holders, or only by
+ *      the governance contract itself once it is self-governed. Category IDs start at 1;
+ *      category 0 stands for the governance contract's global parameters.
+ */
+contract ProposalCategoryRegistry {
+    
+    // ============ State Variables ============
+    
+    /// @notice Governance contract the categories belong to
+    address public immutable governance;
+    
+    /// @notice Number of categories created
+    uint256 public categoryCount;
+    
+    // ============ Structs ============
+    
+    struct Category {
+        string name;
+        uint256 quorumBasisPoints;
+        uint256 votingDelay; // In blocks
+        uint256 votingPeriod; // In blocks
+        address countingStrategy; // Zero = built-in simple majority
+        bool restrictActions; // When false, any target and function may be called
+    }
+    
+    // ============ Mappings ============
+    
+    /// @notice Category ID => Category data
+    mapping(uint256 => Category) public categories;
+    
+    /// @notice Category ID => target => function selector => whether proposals may call it
+    mapping(uint256 => mapping(address => mapping(bytes4 => bool))) public allowedActions;
+    
+    /// @notice Target => number of allow-list entries naming it, across all categories
+    mapping(address => uint256) public targetClaims;
+    
+    // ============ Events ============
+    
+    event CategoryCreated(uint256 indexed categoryId, string name);
+    event CategoryUpdated(
+        uint256 indexed categoryId,
+        uint256 quorumBasisPoints,
+        uint256 votingDelay,
+        uint256 votingPeriod,
+        address countingStrategy,
+        bool restrictActions
+    );
+    event ActionPermissionUpdated(
+        uint256 indexed categoryId,
+        address indexed target,
+        bytes4 indexed selector,
+        bool allowed
+    );
+    
+    // ============ Modifiers ============
+    
+    modifier onlyGovernance() {
+        IGovernanceAccess access = IGovernanceAccess(governance);
+        if (access.selfGoverned()) {
+            require(msg.sender == governance, "Only governance");
+        } else {
+            require(access.hasRole(access.PARAMETER_ADMIN_ROLE(), msg.sender), "Missing role");
+        }
+        _;
+    }
+    
+    modifier validCategory(uint256 _categoryId) {
+        require(_categoryId > 0 && _categoryId <= categoryCount, "Invalid category");
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    constructor(address _governance) {
+        require(_governance != address(0), "Invalid address");
+        governance = _governance;
+    }
+    
+    // ============ Category Management ============
+    
+    /**
+     * @notice Create a new category
+     * @param _name Human-readable name, e.g. "treasury"
+     * @param _quorumBasisPoints Quorum for proposals in this category (basis points)
+     * @param _votingDelay Voting delay in blocks
+     * @param _votingPeriod Voting period in blocks
+     * @param _countingStrategy IVoteCounting contract, or zero for simple majority
+     * @param _restrictActions Whether proposals may only call allowed target/function pairs
+     * @return categoryId ID of the new category
+     */
+    function createCategory(
+        string memory _name,
+        uint256 _quorumBasisPoints,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        address _countingStrategy,
+        bool _restrictActions
+    ) external onlyGovernance returns (uint256 categoryId) {
+        require(bytes(_name).length > 0, "Empty name");
+        
+        categoryCount++;
+        categoryId = categoryCount;
+        categories[categoryId].name = _name;
+        
+        emit CategoryCreated(categoryId, _name);
+        _setParameters(
+            categoryId,
+            _quorumBasisPoints,
+            _votingDelay,
+            _votingPeriod,
+            _countingStrategy,
+            _restrictActions
+        );
+    }
+    
+    /**
+     * @notice Change a category's parameters
+     * @dev Quorum, voting delay, period and counting strategy apply to proposals created
+     *      afterwards; action permissions also apply to proposals already in flight
+     */
+    function updateCategory(
+        uint256 _categoryId,
+        uint256 _quorumBasisPoints,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        address _countingStrategy,
+        bool _restrictActions
+    ) external onlyGovernance validCategory(_categoryId) {
+        _setParameters(
+            _categoryId,
+            _quorumBasisPoints,
+            _votingDelay,
+            _votingPeriod,
+            _countingStrategy,
+            _restrictActions
+        );
+    }
+    
+    /**
+     * @notice Allow or disallow a target/function pair for a category
+     * @dev Use bytes4(0) as the selector for plain ETH transfers (calls without calldata).
+     *      Allowing any call on a target reserves the target: proposals outside a category
+     *      allowing the call, uncategorized ones included, may no longer call it
+     * @param _categoryId ID of the category
+     * @param _target Contract proposals may call
+     * @param _selector Function selector proposals may call on the target
+     * @param _allowed Whether the call is allowed
+     */
+    function setActionAllowed(
+        uint256 _categoryId,
+        address _target,
+        bytes4 _selector,
+        bool _allowed
+    ) external onlyGovernance validCategory(_categoryId) {
+        if (allowedActions[_categoryId][_target][_selector] != _allowed) {
+            if (_allowed) {
+                targetClaims[_target]++;
+            } else {
+                targetClaims[_target]--;
+            }
+            allowedActions[_categoryId][_target][_selector] = _allowed;
+        }
+        emit ActionPermissionUpdated(_categoryId, _target, _selector, _allowed);
+    }
+    
+    /**
+     * @dev Validate and store a category's parameters
+     */
+    function _setParameters(
+        uint256 _categoryId,
+        uint256 _quorumBasisPoints,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        address _countingStrategy,
+        bool _restrictActions
+    ) internal {
+        require(_quorumBasisPoints <= 10000, "Quorum too high");
+        require(_votingPeriod > 0, "Invalid voting period");
+        require(
+            _countingStrategy == address(0) || _countingStrategy.code.length > 0,
+            "Invalid strategy"
+        );
+        
+        Category storage category = categories[_categoryId];
+        category.quorumBasisPoints = _quorumBasisPoints;
+        category.votingDelay = _votingDelay;
+        category.votingPeriod = _votingPeriod;
+        category.countingStrategy = _countingStrategy;
+        category.restrictActions = _restrictActions;
+        
+        emit CategoryUpdated(
+            _categoryId,
+            _quorumBasisPoints,
+            _votingDelay,
+            _votingPeriod,
+            _countingStrategy,
+            _restrictActions
+        );
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Get the voting parameters a new proposal in the category starts with
+     * @param _categoryId ID of the category
+     */
+    function getVotingParameters(uint256 _categoryId)
+        external
+        view
+        validCategory(_categoryId)
+        returns (
+            uint256 quorumBasisPoints,
+            uint256 votingDelay,
+            uint256 votingPeriod,
+            address countingStrategy
+        )
+    {
+        Category storage category = categories[_categoryId];
+        return (
+            category.quorumBasisPoints,
+            category.votingDelay,
+            category.votingPeriod,
+            category.countingStrategy
+        );
+    }
+    
+    /**
+     * @notice Check whether a proposal in the category may make a call
+     * @dev Category 0 stands for uncategorized proposals. A call is allowed when the category
+     *      allows it, and otherwise only when the category is unrestricted and no category has
+     *      reserved the target
+     * @param _categoryId ID of the category, or 0 for uncategorized proposals
+     * @param _target Contract to call
+     * @param _data Calldata of the call
+     * @return Whether the call is allowed
+     */
+    function isActionAllowed(uint256 _categoryId, address _target, bytes calldata _data)
+        external
+        view
+        returns (bool)
+    {
+        require(_categoryId <= categoryCount, "Invalid category");
+        if (_categoryId != 0) {
+            bytes4 selector = _data.length >= 4 ? bytes4(_data[:4]) : bytes4(0);
+            if (allowedActions[_categoryId][_target][selector]) {
+                return true;
+            }
+            if (categories[_categoryId].restrictActions) {
+                return false;
+            }
+        }
+        return targetClaims[_target] == 0;
+    }
+}
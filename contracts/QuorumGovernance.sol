@@ -1,140 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./QuorumGovernanceBase.sol";
+import "./QuorumGovernanceAdmin.sol";
+
 /**
  * @title QuorumGovernance
  * @notice Governance contract with agent-based voting and verification system
- * @dev Implements proposal creation, agent voting, quorum validation, and execution
+ * @dev Implements proposal creation, agent voting, quorum validation, and execution.
+ *      Storage lives in QuorumGovernanceBase; the privileged functions are implemented in
+ *      QuorumGovernanceAdmin, which this contract deploys and delegatecalls into.
  */
-contract QuorumGovernance {
+contract QuorumGovernance is QuorumGovernanceBase {
     
     // ============ State Variables ============
     
-    /// @notice Minimum percentage of total voting power required for quorum (basis points, e.g., 4000 = 40%)
-    uint256 public quorumBasisPoints;
-    
-    /// @notice Voting period duration in blocks
-    uint256 public votingPeriod;
-    
-    /// @notice Delay before voting starts after proposal creation (in blocks)
-    uint256 public votingDelay;
-    
-    /// @notice Contract owner/admin
-    address public owner;
-    
-    /// @notice Proposal counter
-    uint256 public proposalCount;
-    
-    /// @notice Total registered voting power
-    uint256 public totalVotingPower;
-    
-    // ============ Structs ============
-    
-    struct Agent {
-        address agentAddress;
-        uint256 votingPower;
-        bool isActive;
-        bool isVerified;
-        uint256 verifiedAt;
-        string metadata; // IPFS hash or identifier
-    }
-    
-    struct Proposal {
-        uint256 id;
-        address proposer;
-        string description;
-        uint256 startBlock;
-        uint256 endBlock;
-        uint256 forVotes;
-        uint256 againstVotes;
-        uint256 abstainVotes;
-        bool executed;
-        bool canceled;
-        ProposalState state;
-        bytes callData; // Encoded function call for execution
-        address targetContract; // Contract to call if proposal passes
-    }
-    
-    struct Vote {
-        bool hasVoted;
-        VoteChoice choice;
-        uint256 votingPower;
-        uint256 timestamp;
-    }
-    
-    enum VoteChoice {
-        Against,
-        For,
-        Abstain
-    }
-    
-    enum ProposalState {
-        Pending,
-        Active,
-        Canceled,
-        Defeated,
-        Succeeded,
-        Queued,
-        Expired,
-        Executed
-    }
-    
-    // ============ Mappings ============
-    
-    /// @notice Agent address => Agent data
-    mapping(address => Agent) public agents;
-    
-    /// @notice Proposal ID => Proposal data
-    mapping(uint256 => Proposal) public proposals;
-    
-    /// @notice Proposal ID => Agent address => Vote
-    mapping(uint256 => mapping(address => Vote)) public votes;
-    
-    /// @notice List of all agent addresses
-    address[] public agentList;
-    
-    // ============ Events ============
-    
-    event AgentRegistered(address indexed agent, uint256 votingPower, string metadata);
-    event AgentVerified(address indexed agent, address indexed verifier);
-    event AgentDeactivated(address indexed agent);
-    event VotingPowerUpdated(address indexed agent, uint256 oldPower, uint256 newPower);
-    
-    event ProposalCreated(
-        uint256 indexed proposalId,
-        address indexed proposer,
-        string description,
-        uint256 startBlock,
-        uint256 endBlock
-    );
-    event VoteCast(
-        address indexed voter,
-        uint256 indexed proposalId,
-        VoteChoice choice,
-        uint256 votingPower
-    );
-    event ProposalExecuted(uint256 indexed proposalId);
-    event ProposalCanceled(uint256 indexed proposalId);
-    
-    event QuorumUpdated(uint256 oldQuorum, uint256 newQuorum);
-    event VotingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
-    
-    // ============ Modifiers ============
-    
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner");
-        _;
-    }
-    
-    modifier onlyActiveAgent() {
-        require(agents[msg.sender].isActive, "Agent not active");
-        _;
-    }
-    
-    modifier onlyVerifiedAgent() {
-        require(agents[msg.sender].isVerified, "Agent not verified");
-        _;
-    }
+    /// @notice Module holding the privileged functions, run via delegatecall (see QuorumGovernanceAdmin)
+    address public immutable adminModule;
     
     // ============ Constructor ============
     
@@ -146,16 +28,27 @@ contract QuorumGovernance {
         require(_quorumBasisPoints <= 10000, "Quorum too high");
         require(_votingPeriod > 0, "Invalid voting period");
         
+        adminModule = address(new QuorumGovernanceAdmin());
+        
         owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+        
+        _grantRole(REGISTRAR_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _grantRole(PARAMETER_ADMIN_ROLE, msg.sender);
+        _grantRole(CANCELLER_ROLE, msg.sender);
+        
         quorumBasisPoints = _quorumBasisPoints;
         votingPeriod = _votingPeriod;
         votingDelay = _votingDelay;
+        timelockDelay = 2 days;
     }
     
     // ============ Agent Management ============
     
     /**
      * @notice Register a new agent with voting power
+     * @dev Each address can only be registered once; use reactivateAgent to bring back a deactivated agent
      * @param _agent Address of the agent
      * @param _votingPower Voting power to assign
      * @param _metadata IPFS hash or metadata identifier
@@ -163,52 +56,60 @@ contract QuorumGovernance {
     function registerAgent(
         address _agent,
         uint256 _votingPower,
-        string memory _metadata
-    ) external onlyOwner {
-        require(_agent != address(0), "Invalid address");
-        require(!agents[_agent].isActive, "Agent already registered");
-        require(_votingPower > 0, "Invalid voting power");
-        
-        agents[_agent] = Agent({
-            agentAddress: _agent,
-            votingPower: _votingPower,
-            isActive: true,
-            isVerified: false,
-            verifiedAt: 0,
-            metadata: _metadata
-        });
-        
-        agentList.push(_agent);
-        totalVotingPower += _votingPower;
-        
-        emit AgentRegistered(_agent, _votingPower, _metadata);
+        string calldata _metadata
+    ) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.registerAgent, (_agent, _votingPower, _metadata))
+        );
     }
     
     /**
      * @notice Verify an agent (could be based on off-chain verification)
+     * @dev With a verification TTL set, verifying again renews the verification. The
+     *      attestationVerifier may call this whether or not the contract is self-governed.
      * @param _agent Address of the agent to verify
      */
-    function verifyAgent(address _agent) external onlyOwner {
-        require(agents[_agent].isActive, "Agent not active");
-        require(!agents[_agent].isVerified, "Agent already verified");
-        
-        agents[_agent].isVerified = true;
-        agents[_agent].verifiedAt = block.timestamp;
-        
-        emit AgentVerified(_agent, msg.sender);
+    function verifyAgent(address _agent) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.verifyAgent, (_agent)));
+    }
+    
+    /**
+     * @notice Verify an agent for no longer than a given time
+     * @dev Same access and renewal rules as verifyAgent. The verification lapses at `_until`
+     *      or when the verification TTL runs out, whichever comes first.
+     * @param _agent Address of the agent to verify
+     * @param _until Timestamp at which the verification lapses
+     */
+    function verifyAgentUntil(address _agent, uint256 _until) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.verifyAgentUntil, (_agent, _until)));
+    }
+    
+    /**
+     * @notice Withdraw an agent's verification before it expires
+     * @dev Power delegated to the agent goes back to its delegators
+     * @param _agent Address of the agent
+     */
+    function revokeVerification(address _agent) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.revokeVerification, (_agent)));
     }
     
     /**
      * @notice Deactivate an agent
+     * @dev Any delegation made by the agent is cleared, and power delegated to it goes back
+     *      to its delegators
      * @param _agent Address of the agent to deactivate
      */
-    function deactivateAgent(address _agent) external onlyOwner {
-        require(agents[_agent].isActive, "Agent not active");
-        
-        agents[_agent].isActive = false;
-        totalVotingPower -= agents[_agent].votingPower;
-        
-        emit AgentDeactivated(_agent);
+    function deactivateAgent(address _agent) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.deactivateAgent, (_agent)));
+    }
+    
+    /**
+     * @notice Reactivate a deactivated agent
+     * @dev Restores the agent's last voting power and keeps its verification status
+     * @param _agent Address of the agent to reactivate
+     */
+    function reactivateAgent(address _agent) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.reactivateAgent, (_agent)));
     }
     
     /**
@@ -216,25 +117,76 @@ contract QuorumGovernance {
      * @param _agent Address of the agent
      * @param _newVotingPower New voting power
      */
-    function updateVotingPower(address _agent, uint256 _newVotingPower) 
-        external 
-        onlyOwner 
-    {
-        require(agents[_agent].isActive, "Agent not active");
-        require(_newVotingPower > 0, "Invalid voting power");
-        
-        uint256 oldPower = agents[_agent].votingPower;
+    function updateVotingPower(address _agent, uint256 _newVotingPower) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateVotingPower, (_agent, _newVotingPower))
+        );
+    }
+    
+    // ============ Delegation ============
+    
+    /**
+     * @notice Delegate the caller's voting power to another agent
+     * @dev Delegation is single-hop: an agent holding delegations cannot delegate, and
+     *      an agent that has delegated cannot receive delegations, so loops are impossible.
+     *      Pass the caller's own address (or zero) to take the power back.
+     * @param _delegatee Active, verified agent to delegate to
+     */
+    function delegate(address _delegatee) external onlyActiveAgent onlyVerifiedAgent {
+        _delegate(msg.sender, _delegatee);
+    }
+    
+    /**
+     * @notice Delegate voting power using an EIP-712 signature from the delegator
+     * @param _delegator Agent whose power is delegated (must be the signer)
+     * @param _delegatee Active, verified agent to delegate to
+     * @param _nonce Delegator's current nonce
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _signature 65-byte ECDSA signature over the Delegation struct
+     */
+    function delegateBySig(
+        address _delegator,
+        address _delegatee,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
         
-        totalVotingPower = totalVotingPower - oldPower + _newVotingPower;
-        agents[_agent].votingPower = _newVotingPower;
+        bytes32 structHash = keccak256(
+            abi.encode(DELEGATION_TYPEHASH, _delegator, _delegatee, _nonce, _deadline)
+        );
+        require(_recoverSigner(structHash, _signature) == _delegator, "Invalid signature");
+        require(_nonce == nonces[_delegator]++, "Invalid nonce");
+        _requireActiveVerifiedAgent(_delegator);
         
-        emit VotingPowerUpdated(_agent, oldPower, _newVotingPower);
+        _delegate(_delegator, _delegatee);
+    }
+    
+    /**
+     * @notice Undo the delegations of an agent whose verification lapsed, both ways
+     * @dev Callable by anyone, since expiry happens without a transaction
+     * @param _agent Agent whose verification is no longer valid
+     */
+    function returnDelegations(address _agent) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.returnDelegations, (_agent)));
+    }
+    
+    /**
+     * @notice Get an agent's current voting weight including delegated power
+     * @param _agent Address of the agent
+     * @return Current voting weight
+     */
+    function getVotes(address _agent) public view returns (uint256) {
+        Checkpoint[] storage checkpoints = _votingPowerCheckpoints[_agent];
+        return checkpoints.length == 0 ? 0 : checkpoints[checkpoints.length - 1].votes;
     }
     
     // ============ Proposal Management ============
     
     /**
-     * @notice Create a new proposal
+     * @notice Create a new proposal with a single call
+     * @dev A zero target creates a signaling proposal with no actions
      * @param _description Description of the proposal
      * @param _targetContract Address of contract to call if executed
      * @param _callData Encoded function call data
@@ -244,12 +196,117 @@ contract QuorumGovernance {
         string memory _description,
         address _targetContract,
         bytes memory _callData
-    ) external onlyActiveAgent onlyVerifiedAgent returns (uint256) {
+    ) external whenNotPaused onlyActiveAgent onlyVerifiedAgent returns (uint256) {
+        uint256 proposalId = _createProposal(_description, 0);
+        
+        if (_targetContract != address(0)) {
+            _proposalActions[proposalId].push(ProposalAction({
+                target: _targetContract,
+                value: 0,
+                data: _callData
+            }));
+            _requireActionsAllowed(proposalId);
+        }
+        
+        return proposalId;
+    }
+    
+    /**
+     * @notice Create a new proposal executing several calls atomically
+     * @param _description Description of the proposal
+     * @param _targets Addresses of contracts to call
+     * @param _values ETH (wei) to send with each call
+     * @param _calldatas Encoded function call data for each call
+     * @return proposalId ID of the created proposal
+     */
+    function createBatchProposal(
+        string memory _description,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas
+    ) external whenNotPaused onlyActiveAgent onlyVerifiedAgent returns (uint256) {
+        return _createBatchProposal(0, _description, _targets, _values, _calldatas);
+    }
+    
+    /**
+     * @notice Create a proposal in a category of the category registry
+     * @dev The category's quorum, voting delay, period and counting strategy apply instead of
+     *      the global ones, and every call must be allowed by the category, now and at execution
+     * @param _categoryId ID of the category (0 = global parameters, like createBatchProposal)
+     * @param _description Description of the proposal
+     * @param _targets Addresses of contracts to call
+     * @param _values ETH (wei) to send with each call
+     * @param _calldatas Encoded function call data for each call
+     * @return proposalId ID of the created proposal
+     */
+    function createCategorizedProposal(
+        uint256 _categoryId,
+        string memory _description,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas
+    ) external whenNotPaused onlyActiveAgent onlyVerifiedAgent returns (uint256) {
+        return _createBatchProposal(_categoryId, _description, _targets, _values, _calldatas);
+    }
+    
+    /**
+     * @dev Shared body of createBatchProposal and createCategorizedProposal
+     */
+    function _createBatchProposal(
+        uint256 _categoryId,
+        string memory _description,
+        address[] memory _targets,
+        uint256[] memory _values,
+        bytes[] memory _calldatas
+    ) internal returns (uint256) {
+        require(_targets.length > 0, "Empty proposal");
+        require(_targets.length <= MAX_PROPOSAL_ACTIONS, "Too many actions");
+        require(
+            _targets.length == _values.length && _targets.length == _calldatas.length,
+            "Proposal length mismatch"
+        );
+        
+        uint256 proposalId = _createProposal(_description, _categoryId);
+        
+        for (uint256 i = 0; i < _targets.length; i++) {
+            require(_targets[i] != address(0), "Invalid target");
+            _proposalActions[proposalId].push(ProposalAction({
+                target: _targets[i],
+                value: _values[i],
+                data: _calldatas[i]
+            }));
+        }
+        _requireActionsAllowed(proposalId);
+        
+        return proposalId;
+    }
+    
+    /**
+     * @dev Record a new proposal authored by msg.sender; actions are added by the caller
+     */
+    function _createProposal(string memory _description, uint256 _categoryId) internal returns (uint256) {
+        _checkProposalLimits();
+        
         proposalCount++;
         uint256 proposalId = proposalCount;
         
-        uint256 startBlock = block.number + votingDelay;
-        uint256 endBlock = startBlock + votingPeriod;
+        _openProposals[msg.sender].push(proposalId);
+        lastProposalBlock[msg.sender] = block.number;
+        
+        uint256 quorumBps = quorumBasisPoints;
+        uint256 delay = votingDelay;
+        uint256 period = votingPeriod;
+        address strategy = countingStrategy;
+        if (_categoryId != 0) {
+            require(address(categoryRegistry) != address(0), "Categories not enabled");
+            (quorumBps, delay, period, strategy) = categoryRegistry.getVotingParameters(_categoryId);
+            proposalCategory[proposalId] = _categoryId;
+        }
+        proposalQuorum[proposalId] = quorumBps;
+        proposalCountingStrategy[proposalId] = strategy;
+        
+        uint256 startBlock = block.number + delay;
+        uint256 endBlock = startBlock + period;
         
         proposals[proposalId] = Proposal({
             id: proposalId,
@@ -263,8 +320,7 @@ contract QuorumGovernance {
             executed: false,
             canceled: false,
             state: ProposalState.Pending,
-            callData: _callData,
-            targetContract: _targetContract
+            eta: 0
         });
         
         emit ProposalCreated(
@@ -278,28 +334,181 @@ contract QuorumGovernance {
         return proposalId;
     }
     
+    /**
+     * @dev Revert unless the proposal's category allows every call it makes. Uncategorized
+     *      proposals are checked too, so they cannot call targets a category has reserved
+     */
+    function _requireActionsAllowed(uint256 _proposalId) internal view {
+        if (address(categoryRegistry) == address(0)) {
+            return;
+        }
+        uint256 categoryId = proposalCategory[_proposalId];
+        
+        ProposalAction[] storage actions = _proposalActions[_proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            require(
+                categoryRegistry.isActionAllowed(categoryId, actions[i].target, actions[i].data),
+                "Action not allowed"
+            );
+        }
+    }
+    
+    /**
+     * @dev Enforce the proposal threshold, cooldown and active-proposal cap for msg.sender.
+     *      Proposals that are no longer pending or active are pruned from the proposer's list first.
+     */
+    function _checkProposalLimits() internal {
+        require(getVotes(msg.sender) >= proposalThreshold, "Below proposal threshold");
+        
+        uint256 lastBlock = lastProposalBlock[msg.sender];
+        require(
+            lastBlock == 0 || block.number >= lastBlock + proposalCooldown,
+            "Proposal cooldown active"
+        );
+        
+        uint256[] storage open = _openProposals[msg.sender];
+        for (uint256 i = open.length; i > 0; i--) {
+            ProposalState state = getProposalState(open[i - 1]);
+            if (state != ProposalState.Pending && state != ProposalState.Active) {
+                open[i - 1] = open[open.length - 1];
+                open.pop();
+            }
+        }
+        require(
+            maxActiveProposals == 0 || open.length < maxActiveProposals,
+            "Too many active proposals"
+        );
+    }
+    
     /**
      * @notice Cast a vote on a proposal
+     * @dev Votes are weighted by the agent's voting power at the proposal's startBlock,
+     *      transformed by the proposal's counting strategy if it has one
      * @param _proposalId ID of the proposal
      * @param _choice Vote choice (0=Against, 1=For, 2=Abstain)
      */
     function castVote(uint256 _proposalId, VoteChoice _choice) 
         external 
+        whenNotPaused 
         onlyActiveAgent 
         onlyVerifiedAgent 
+    {
+        _castVote(msg.sender, _proposalId, _choice);
+    }
+    
+    /**
+     * @notice Cast a vote with a rationale recorded on-chain
+     * @param _proposalId ID of the proposal
+     * @param _choice Vote choice (0=Against, 1=For, 2=Abstain)
+     * @param _reason Human-readable explanation of the vote
+     */
+    function castVoteWithReason(
+        uint256 _proposalId,
+        VoteChoice _choice,
+        string memory _reason
+    ) external whenNotPaused onlyActiveAgent onlyVerifiedAgent {
+        uint256 votingPower = _castVote(msg.sender, _proposalId, _choice);
+        emit VoteCastWithReason(msg.sender, _proposalId, _choice, votingPower, _reason, "");
+    }
+    
+    /**
+     * @notice Cast a vote with a rationale and structured supporting evidence
+     * @dev `_params` is opaque to the contract, e.g. an encoded IPFS CID of the model output
+     * @param _proposalId ID of the proposal
+     * @param _choice Vote choice (0=Against, 1=For, 2=Abstain)
+     * @param _reason Human-readable explanation of the vote
+     * @param _params Arbitrary evidence attached to the vote
+     */
+    function castVoteWithReasonAndParams(
+        uint256 _proposalId,
+        VoteChoice _choice,
+        string memory _reason,
+        bytes memory _params
+    ) external whenNotPaused onlyActiveAgent onlyVerifiedAgent {
+        uint256 votingPower = _castVote(msg.sender, _proposalId, _choice);
+        emit VoteCastWithReason(msg.sender, _proposalId, _choice, votingPower, _reason, _params);
+    }
+    
+    /**
+     * @notice Cast a vote on behalf of an agent using its EIP-712 signature
+     * @dev Anyone may relay the signature; the signer must be an active, verified agent
+     * @param _proposalId ID of the proposal
+     * @param _choice Vote choice (0=Against, 1=For, 2=Abstain)
+     * @param _voter Agent casting the vote (must be the signer)
+     * @param _nonce Voter's current nonce
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _signature 65-byte ECDSA signature over the Ballot struct
+     */
+    function castVoteBySig(
+        uint256 _proposalId,
+        VoteChoice _choice,
+        address _voter,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external whenNotPaused {
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, _proposalId, _choice, _voter, _nonce, _deadline)
+        );
+        require(_recoverSigner(structHash, _signature) == _voter, "Invalid signature");
+        require(_nonce == nonces[_voter]++, "Invalid nonce");
+        _requireActiveVerifiedAgent(_voter);
+        
+        _castVote(_voter, _proposalId, _choice);
+    }
+    
+    /**
+     * @dev Record `_voter`'s vote, weighted by its voting power at the proposal's startBlock.
+     *      If vote changes are allowed, a repeat call moves the voter's weight to `_choice`.
+     * @return votingPower Weight the vote was counted with
+     */
+    function _castVote(address _voter, uint256 _proposalId, VoteChoice _choice) 
+        internal 
+        returns (uint256 votingPower) 
     {
         require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal");
         Proposal storage proposal = proposals[_proposalId];
         
-        require(block.number >= proposal.startBlock, "Voting not started");
+        require(block.number > proposal.startBlock, "Voting not started");
         require(block.number <= proposal.endBlock, "Voting ended");
         require(!proposal.canceled, "Proposal canceled");
-        require(!votes[_proposalId][msg.sender].hasVoted, "Already voted");
+        require(!finalizedEarly[_proposalId], "Voting closed early");
         
-        Agent memory agent = agents[msg.sender];
-        uint256 votingPower = agent.votingPower;
+        Vote storage vote = votes[_proposalId][_voter];
+        bool changing = vote.hasVoted;
+        if (changing) {
+            require(voteChangesAllowed, "Already voted");
+            require(vote.choice != _choice, "Vote unchanged");
+            votingPower = vote.votingPower;
+        } else {
+            votingPower = _checkpointLookup(_votingPowerCheckpoints[_voter], proposal.startBlock);
+            require(votingPower > 0, "No voting power at snapshot");
+        }
+        
+        address strategy = proposalCountingStrategy[_proposalId];
+        uint256 weight = strategy == address(0)
+            ? votingPower
+            : IVoteCounting(strategy).countedWeight(votingPower);
+        
+        if (changing) {
+            VoteChoice oldChoice = vote.choice;
+            if (oldChoice == VoteChoice.For) {
+                proposal.forVotes -= weight;
+            } else if (oldChoice == VoteChoice.Against) {
+                proposal.againstVotes -= weight;
+            } else {
+                proposal.abstainVotes -= weight;
+            }
+            emit VoteChanged(_voter, _proposalId, oldChoice, _choice, votingPower);
+        } else {
+            _participation[_proposalId] += votingPower;
+            proposalVoters[_proposalId].push(_voter);
+            emit VoteCast(_voter, _proposalId, _choice, votingPower);
+        }
         
-        votes[_proposalId][msg.sender] = Vote({
+        votes[_proposalId][_voter] = Vote({
             hasVoted: true,
             choice: _choice,
             votingPower: votingPower,
@@ -307,14 +516,49 @@ contract QuorumGovernance {
         });
         
         if (_choice == VoteChoice.For) {
-            proposal.forVotes += votingPower;
+            proposal.forVotes += weight;
         } else if (_choice == VoteChoice.Against) {
-            proposal.againstVotes += votingPower;
+            proposal.againstVotes += weight;
         } else {
-            proposal.abstainVotes += votingPower;
+            proposal.abstainVotes += weight;
         }
         
-        emit VoteCast(msg.sender, _proposalId, _choice, votingPower);
+        // A vote that can still be changed never locks in the outcome
+        if (earlyFinalization && !voteChangesAllowed) {
+            _tryFinalizeEarly(_proposalId);
+        }
+    }
+    
+    /**
+     * @dev Close voting once the votes still outstanding can no longer change the outcome.
+     *      Outstanding votes are bounded by their raw power, so this assumes the counting rule
+     *      never weights a vote above its power and never rewards extra Against/Abstain votes.
+     */
+    function _tryFinalizeEarly(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+        uint256 outstanding = _checkpointLookup(_totalVotingPowerCheckpoints, proposal.startBlock)
+            - _participation[_proposalId];
+        
+        uint256 forVotes = proposal.forVotes;
+        uint256 againstVotes = proposal.againstVotes;
+        uint256 abstainVotes = proposal.abstainVotes;
+        address strategy = proposalCountingStrategy[_proposalId];
+        
+        ProposalState outcome;
+        if (!_tallySucceeds(strategy, forVotes + outstanding, againstVotes, abstainVotes)) {
+            outcome = ProposalState.Defeated;
+        } else if (
+            hasReachedQuorum(_proposalId) &&
+            _tallySucceeds(strategy, forVotes, againstVotes + outstanding, abstainVotes) &&
+            _tallySucceeds(strategy, forVotes, againstVotes, abstainVotes + outstanding)
+        ) {
+            outcome = ProposalState.Succeeded;
+        } else {
+            return;
+        }
+        
+        finalizedEarly[_proposalId] = true;
+        emit ProposalFinalizedEarly(_proposalId, outcome);
     }
     
     /**
@@ -334,27 +578,35 @@ contract QuorumGovernance {
             return ProposalState.Canceled;
         }
         
+        if (vetoed[_proposalId]) {
+            return ProposalState.Vetoed;
+        }
+        
         if (proposal.executed) {
             return ProposalState.Executed;
         }
         
-        if (block.number < proposal.startBlock) {
+        if (proposal.eta != 0) {
+            if (block.timestamp >= proposal.eta + GRACE_PERIOD) {
+                return ProposalState.Expired;
+            }
+            return ProposalState.Queued;
+        }
+        
+        if (block.number <= proposal.startBlock) {
             return ProposalState.Pending;
         }
         
-        if (block.number <= proposal.endBlock) {
+        if (block.number <= proposal.endBlock && !finalizedEarly[_proposalId]) {
             return ProposalState.Active;
         }
         
         // Voting ended, check if it passed
-        uint256 totalVotes = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
-        uint256 quorumRequired = (totalVotingPower * quorumBasisPoints) / 10000;
-        
-        if (totalVotes < quorumRequired) {
+        if (!hasReachedQuorum(_proposalId)) {
             return ProposalState.Defeated;
         }
         
-        if (proposal.forVotes > proposal.againstVotes) {
+        if (_voteSucceeded(_proposalId)) {
             return ProposalState.Succeeded;
         }
         
@@ -362,22 +614,40 @@ contract QuorumGovernance {
     }
     
     /**
-     * @notice Execute a successful proposal
+     * @notice Queue a successful proposal for execution after the timelock delay
+     * @param _proposalId ID of the proposal to queue
+     */
+    function queueProposal(uint256 _proposalId) external {
+        require(getProposalState(_proposalId) == ProposalState.Succeeded, "Proposal not succeeded");
+        Proposal storage proposal = proposals[_proposalId];
+        
+        uint256 eta = block.timestamp + timelockDelay;
+        proposal.eta = eta;
+        proposal.state = ProposalState.Queued;
+        
+        emit ProposalQueued(_proposalId, eta);
+    }
+    
+    /**
+     * @notice Execute a queued proposal once its ETA has passed
+     * @dev Must be executed before eta + GRACE_PERIOD, after which the proposal is Expired.
+     *      All actions run in order; if any call fails the whole execution reverts.
      * @param _proposalId ID of the proposal to execute
      */
-    function executeProposal(uint256 _proposalId) external {
+    function executeProposal(uint256 _proposalId) external whenNotPaused {
         require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal");
         Proposal storage proposal = proposals[_proposalId];
         
-        require(getProposalState(_proposalId) == ProposalState.Succeeded, "Proposal not succeeded");
-        require(!proposal.executed, "Already executed");
+        require(getProposalState(_proposalId) == ProposalState.Queued, "Proposal not queued");
+        require(block.timestamp >= proposal.eta, "Timelock not expired");
+        _requireActionsAllowed(_proposalId);
         
         proposal.executed = true;
         proposal.state = ProposalState.Executed;
         
-        // Execute the call if target and callData are provided
-        if (proposal.targetContract != address(0) && proposal.callData.length > 0) {
-            (bool success, ) = proposal.targetContract.call(proposal.callData);
+        ProposalAction[] storage actions = _proposalActions[_proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            (bool success, ) = actions[i].target.call{value: actions[i].value}(actions[i].data);
             require(success, "Execution failed");
         }
         
@@ -385,7 +655,9 @@ contract QuorumGovernance {
     }
     
     /**
-     * @notice Cancel a proposal (only by proposer or owner)
+     * @notice Cancel a proposal (only by proposer or a CANCELLER_ROLE holder)
+     * @dev Once self-governance is enabled, CANCELLER_ROLE no longer applies: only the proposer
+     *      or the contract itself (an executed proposal) may cancel
      * @param _proposalId ID of the proposal to cancel
      */
     function cancelProposal(uint256 _proposalId) external {
@@ -393,7 +665,8 @@ contract QuorumGovernance {
         Proposal storage proposal = proposals[_proposalId];
         
         require(
-            msg.sender == proposal.proposer || msg.sender == owner,
+            msg.sender == proposal.proposer ||
+                (selfGoverned ? msg.sender == address(this) : _roles[CANCELLER_ROLE][msg.sender]),
             "Not authorized"
         );
         require(!proposal.executed, "Already executed");
@@ -405,10 +678,17 @@ contract QuorumGovernance {
         emit ProposalCanceled(_proposalId);
     }
     
+    /**
+     * @notice Accept ETH so proposals can transfer it via action values
+     */
+    receive() external payable {}
+    
     // ============ Quorum & Voting Verification ============
     
     /**
      * @notice Check if a proposal has reached quorum
+     * @dev Quorum is measured against the total voting power at the proposal's startBlock,
+     *      using the quorum fixed when the proposal was created
      * @param _proposalId ID of the proposal
      * @return Whether quorum has been reached
      */
@@ -416,10 +696,54 @@ contract QuorumGovernance {
         require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal");
         Proposal storage proposal = proposals[_proposalId];
         
-        uint256 totalVotes = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
-        uint256 quorumRequired = (totalVotingPower * quorumBasisPoints) / 10000;
+        uint256 snapshotPower = _checkpointLookup(_totalVotingPowerCheckpoints, proposal.startBlock);
+        uint256 quorumRequired = (snapshotPower * proposalQuorum[_proposalId]) / 10000;
         
-        return totalVotes >= quorumRequired;
+        return _participation[_proposalId] >= quorumRequired;
+    }
+    
+    /**
+     * @notice Get the counting rule a proposal is tallied with
+     * @param _proposalId ID of the proposal
+     * @return strategy Counting strategy contract (zero = built-in simple majority)
+     * @return name Name of the rule, e.g. "simple-majority" or "quadratic"
+     */
+    function getCountingRule(uint256 _proposalId) 
+        external 
+        view 
+        returns (address strategy, string memory name) 
+    {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal");
+        strategy = proposalCountingStrategy[_proposalId];
+        name = strategy == address(0) ? "simple-majority" : IVoteCounting(strategy).name();
+    }
+    
+    /**
+     * @dev Whether the tallies pass the proposal under its counting rule (quorum checked separately)
+     */
+    function _voteSucceeded(uint256 _proposalId) internal view returns (bool) {
+        Proposal storage proposal = proposals[_proposalId];
+        return _tallySucceeds(
+            proposalCountingStrategy[_proposalId],
+            proposal.forVotes,
+            proposal.againstVotes,
+            proposal.abstainVotes
+        );
+    }
+    
+    /**
+     * @dev Whether the given tallies pass under `_strategy` (zero = built-in simple majority)
+     */
+    function _tallySucceeds(
+        address _strategy,
+        uint256 _forVotes,
+        uint256 _againstVotes,
+        uint256 _abstainVotes
+    ) internal view returns (bool) {
+        if (_strategy == address(0)) {
+            return _forVotes > _againstVotes;
+        }
+        return IVoteCounting(_strategy).succeeded(_forVotes, _againstVotes, _abstainVotes);
     }
     
     /**
@@ -448,45 +772,398 @@ contract QuorumGovernance {
         quorumReached = hasReachedQuorum(_proposalId);
     }
     
+    // ============ Checkpoints ============
+    
+    /**
+     * @notice Get an agent's effective voting power at a past block
+     * @param _agent Address of the agent
+     * @param _blockNumber Block number to look up (must already be mined)
+     * @return Voting power at the end of that block (0 if inactive or unregistered)
+     */
+    function getPastVotes(address _agent, uint256 _blockNumber) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        require(_blockNumber < block.number, "Block not yet mined");
+        return _checkpointLookup(_votingPowerCheckpoints[_agent], _blockNumber);
+    }
+    
+    /**
+     * @notice Get the total voting power at a past block
+     * @param _blockNumber Block number to look up (must already be mined)
+     * @return Total voting power at the end of that block
+     */
+    function getPastTotalVotingPower(uint256 _blockNumber) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        require(_blockNumber < block.number, "Block not yet mined");
+        return _checkpointLookup(_totalVotingPowerCheckpoints, _blockNumber);
+    }
+    
+    /**
+     * @dev Binary search for the value in effect at the end of `_blockNumber`
+     */
+    function _checkpointLookup(Checkpoint[] storage _checkpoints, uint256 _blockNumber) 
+        internal 
+        view 
+        returns (uint256) 
+    {
+        uint256 low = 0;
+        uint256 high = _checkpoints.length;
+        
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (_checkpoints[mid].fromBlock > _blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        
+        return high == 0 ? 0 : _checkpoints[high - 1].votes;
+    }
+    
+    // ============ Signatures ============
+    
+    /**
+     * @notice EIP-712 domain separator for signature-based actions
+     * @return Domain separator for this contract on the current chain
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                _DOMAIN_TYPEHASH,
+                keccak256(bytes("QuorumGovernance")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+    
+    /**
+     * @dev Recover the signer of an EIP-712 struct hash, rejecting malleable signatures
+     */
+    function _recoverSigner(bytes32 _structHash, bytes memory _signature) 
+        internal 
+        view 
+        returns (address) 
+    {
+        require(_signature.length == 65, "Invalid signature");
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), _structHash));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        
+        return signer;
+    }
+    
+    /**
+     * @dev Apply the onlyActiveAgent and onlyVerifiedAgent checks to a signer
+     */
+    function _requireActiveVerifiedAgent(address _agent) internal view {
+        require(agents[_agent].isActive, "Agent not active");
+        require(isVerificationValid(_agent), "Agent not verified");
+    }
+    
     // ============ Admin Functions ============
     
+    /**
+     * @dev Run a function of the admin module against this contract's storage and bubble up
+     *      its revert reason. msg.sender is preserved, so the module's access checks apply.
+     */
+    function _delegateToAdmin(bytes memory _data) internal {
+        (bool success, bytes memory result) = adminModule.delegatecall(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 0x20), mload(result))
+            }
+        }
+    }
+    
     /**
      * @notice Update quorum requirement
+     * @dev Applies to proposals created afterwards
      * @param _newQuorumBasisPoints New quorum in basis points
      */
-    function updateQuorum(uint256 _newQuorumBasisPoints) external onlyOwner {
-        require(_newQuorumBasisPoints <= 10000, "Quorum too high");
-        uint256 oldQuorum = quorumBasisPoints;
-        quorumBasisPoints = _newQuorumBasisPoints;
-        emit QuorumUpdated(oldQuorum, _newQuorumBasisPoints);
+    function updateQuorum(uint256 _newQuorumBasisPoints) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateQuorum, (_newQuorumBasisPoints))
+        );
     }
     
     /**
      * @notice Update voting period
      * @param _newVotingPeriod New voting period in blocks
      */
-    function updateVotingPeriod(uint256 _newVotingPeriod) external onlyOwner {
-        require(_newVotingPeriod > 0, "Invalid voting period");
-        uint256 oldPeriod = votingPeriod;
-        votingPeriod = _newVotingPeriod;
-        emit VotingPeriodUpdated(oldPeriod, _newVotingPeriod);
+    function updateVotingPeriod(uint256 _newVotingPeriod) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateVotingPeriod, (_newVotingPeriod))
+        );
     }
     
     /**
      * @notice Update voting delay
      * @param _newVotingDelay New voting delay in blocks
      */
-    function updateVotingDelay(uint256 _newVotingDelay) external onlyOwner {
-        votingDelay = _newVotingDelay;
+    function updateVotingDelay(uint256 _newVotingDelay) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateVotingDelay, (_newVotingDelay))
+        );
+    }
+    
+    /**
+     * @notice Update the delay between queueing and execution
+     * @dev Applies to proposals queued after the change
+     * @param _newTimelockDelay New timelock delay in seconds
+     */
+    function updateTimelockDelay(uint256 _newTimelockDelay) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateTimelockDelay, (_newTimelockDelay))
+        );
+    }
+    
+    /**
+     * @notice Update the voting weight required to create a proposal
+     * @param _newThreshold New threshold (0 disables the check)
+     */
+    function updateProposalThreshold(uint256 _newThreshold) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateProposalThreshold, (_newThreshold))
+        );
+    }
+    
+    /**
+     * @notice Update how many pending or active proposals a proposer may have at once
+     * @param _newMax New cap (0 = unlimited)
+     */
+    function updateMaxActiveProposals(uint256 _newMax) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateMaxActiveProposals, (_newMax))
+        );
+    }
+    
+    /**
+     * @notice Update the minimum gap between two proposals from the same proposer
+     * @param _newCooldown New cooldown in blocks (0 disables the check)
+     */
+    function updateProposalCooldown(uint256 _newCooldown) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateProposalCooldown, (_newCooldown))
+        );
+    }
+    
+    /**
+     * @notice Set the counting strategy used by proposals created from now on
+     * @dev Existing proposals keep the strategy they were created with
+     * @param _newStrategy IVoteCounting contract, or zero for the built-in simple majority
+     */
+    function updateCountingStrategy(address _newStrategy) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateCountingStrategy, (_newStrategy))
+        );
     }
     
     /**
-     * @notice Transfer ownership
+     * @notice Turn the early-close rule on or off
+     * @dev When on, a proposal leaves Active as soon as the outstanding votes can no longer
+     *      change its outcome
+     * @param _enabled Whether voting closes once the outcome is locked in
+     */
+    function updateEarlyFinalization(bool _enabled) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateEarlyFinalization, (_enabled))
+        );
+    }
+    
+    /**
+     * @notice Allow or forbid agents to change their vote before voting ends
+     * @dev While changes are allowed, proposals are never finalized early
+     * @param _allowed Whether casting a vote again moves it to the new choice
+     */
+    function updateVoteChangesAllowed(bool _allowed) external {
+        _delegateToAdmin(
+            abi.encodeCall(QuorumGovernanceAdmin.updateVoteChangesAllowed, (_allowed))
+        );
+    }
+    
+    /**
+     * @notice Set how long verifications stay valid
+     * @dev Applies to existing verifications too, measured from their verifiedAt
+     * @param _newTtl Validity in seconds (0 = verifications never expire)
+     */
+    function updateVerificationTtl(uint256 _newTtl) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.updateVerificationTtl, (_newTtl)));
+    }
+    
+    /**
+     * @notice Enable proposal categories by connecting the category registry
+     * @dev Can only be set once, so categorized proposals always refer to the same registry
+     * @param _registry ProposalCategoryRegistry deployed for this contract
+     */
+    function setCategoryRegistry(address _registry) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.setCategoryRegistry, (_registry)));
+    }
+    
+    // ============ Guardian ============
+    
+    /**
+     * @notice Veto a proposal that passed but has not been executed
+     * @dev Proposals calling setGuardian on this contract cannot be vetoed, so the guardian
+     *      cannot block its own replacement or removal
+     * @param _proposalId ID of a Succeeded or Queued proposal
+     */
+    function vetoProposal(uint256 _proposalId) external onlyGuardian {
+        ProposalState state = getProposalState(_proposalId);
+        require(
+            state == ProposalState.Succeeded || state == ProposalState.Queued,
+            "Proposal not vetoable"
+        );
+        
+        ProposalAction[] storage actions = _proposalActions[_proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            bytes memory data = actions[i].data;
+            require(
+                actions[i].target != address(this) || bytes4(data) != this.setGuardian.selector,
+                "Cannot veto guardian change"
+            );
+        }
+        
+        vetoed[_proposalId] = true;
+        
+        emit ProposalVetoed(_proposalId, msg.sender);
+    }
+    
+    /**
+     * @notice Appoint, replace or remove (zero address) the guardian
+     * @dev Always settable via an executed proposal; by the owner too until self-governance
+     *      is enabled. A new appointment gives the guardian a fresh pause.
+     * @param _newGuardian Address of the new guardian
+     */
+    function setGuardian(address _newGuardian) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.setGuardian, (_newGuardian)));
+    }
+    
+    /**
+     * @notice Halt proposing, voting and execution for PAUSE_DURATION
+     * @dev Guardian only, once per appointment; views and cancellation keep working
+     */
+    function pause() external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.pause, ()));
+    }
+    
+    /**
+     * @notice Lift the pause before it runs out (guardian only)
+     */
+    function unpause() external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.unpause, ()));
+    }
+    
+    // ============ Access Control ============
+    
+    /**
+     * @notice Check whether an account holds a role
+     * @param _role Role identifier (e.g. REGISTRAR_ROLE)
+     * @param _account Address to check
+     * @return Whether the account holds the role
+     */
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return _roles[_role][_account];
+    }
+    
+    /**
+     * @notice Grant a role to an account
+     * @dev Owner-only until self-governance is enabled, then only via an executed proposal
+     * @param _role Role identifier
+     * @param _account Address receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.grantRole, (_role, _account)));
+    }
+    
+    /**
+     * @notice Revoke a role from an account
+     * @dev Owner-only until self-governance is enabled, then only via an executed proposal
+     * @param _role Role identifier
+     * @param _account Address losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.revokeRole, (_role, _account)));
+    }
+    
+    /**
+     * @notice Give up a role held by the caller
+     * @param _role Role identifier
+     */
+    function renounceRole(bytes32 _role) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.renounceRole, (_role)));
+    }
+    
+    /**
+     * @notice Let a verifier contract verify agents, including once self-governance is enabled
+     * @dev Owner-only until self-governance is enabled, then only via an executed proposal
+     * @param _verifier Verifier contract, or the zero address to remove it
+     */
+    function setAttestationVerifier(address _verifier) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.setAttestationVerifier, (_verifier)));
+    }
+    
+    /**
+     * @notice Hand parameter and agent management over to governance, permanently
+     * @dev Afterwards the agent management functions, the parameter setters, role management
+     *      and cancelling other agents' proposals only accept calls from this contract, i.e.
+     *      from an executed proposal. Role holders keep their roles but can no longer use them.
+     */
+    function enableSelfGovernance() external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.enableSelfGovernance, ()));
+    }
+    
+    /**
+     * @notice Start transferring ownership; takes effect once the new owner accepts
+     * @dev Replaces any transfer already pending
      * @param _newOwner Address of new owner
      */
-    function transferOwnership(address _newOwner) external onlyOwner {
-        require(_newOwner != address(0), "Invalid address");
-        owner = _newOwner;
+    function transferOwnership(address _newOwner) external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.transferOwnership, (_newOwner)));
+    }
+    
+    /**
+     * @notice Accept a pending ownership transfer
+     */
+    function acceptOwnership() external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.acceptOwnership, ()));
+    }
+    
+    /**
+     * @notice Cancel a pending ownership transfer
+     */
+    function cancelOwnershipTransfer() external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.cancelOwnershipTransfer, ()));
+    }
+    
+    /**
+     * @notice Give up ownership permanently
+     * @dev Enables self-governance first if it is not yet enabled
+     */
+    function renounceOwnership() external {
+        _delegateToAdmin(abi.encodeCall(QuorumGovernanceAdmin.renounceOwnership, ()));
     }
     
     // ============ View Functions ============
@@ -502,6 +1179,7 @@ contract QuorumGovernance {
     
     /**
      * @notice Get all registered agents
+     * @dev Unbounded; use getAgentCount with agentList or QuorumGovernanceLens.getAgents to page
      * @return Array of agent addresses
      */
     function getAllAgents() external view returns (address[] memory) {
@@ -509,17 +1187,60 @@ contract QuorumGovernance {
     }
     
     /**
-     * @notice Get number of active verified agents
-     * @return Count of active verified agents
+     * @notice Get the number of registered agents
+     * @return Length of agentList
+     */
+    function getAgentCount() external view returns (uint256) {
+        return agentList.length;
+    }
+    
+    /**
+     * @notice Get number of active agents holding a verification, expiry not checked
+     * @dev Maintained on every change, so it counts expired verifications until they are renewed
+     *      or revoked; QuorumGovernanceLens.getActiveVerifiedAgents checks expiry
+     * @return Count of active agents holding a verification, expired or not
      */
     function getActiveVerifiedAgentCount() external view returns (uint256) {
-        uint256 count = 0;
-        for (uint256 i = 0; i < agentList.length; i++) {
-            if (agents[agentList[i]].isActive && agents[agentList[i]].isVerified) {
-                count++;
-            }
+        return _activeVerifiedAgentCount;
+    }
+    
+    /**
+     * @notice Get the number of agents that voted on a proposal
+     * @param _proposalId ID of the proposal
+     * @return Length of proposalVoters for the proposal
+     */
+    function getProposalVoterCount(uint256 _proposalId) external view returns (uint256) {
+        return proposalVoters[_proposalId].length;
+    }
+    
+    /**
+     * @notice Get the calls a proposal will make when executed
+     * @param _proposalId ID of the proposal
+     * @return targets Contracts to call
+     * @return values ETH (wei) sent with each call
+     * @return calldatas Encoded function call data for each call
+     */
+    function getActions(uint256 _proposalId) 
+        external 
+        view 
+        returns (
+            address[] memory targets,
+            uint256[] memory values,
+            bytes[] memory calldatas
+        ) 
+    {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal");
+        ProposalAction[] storage actions = _proposalActions[_proposalId];
+        
+        targets = new address[](actions.length);
+        values = new uint256[](actions.length);
+        calldatas = new bytes[](actions.length);
+        
+        for (uint256 i = 0; i < actions.length; i++) {
+            targets[i] = actions[i].target;
+            values[i] = actions[i].value;
+            calldatas[i] = actions[i].data;
         }
-        return count;
     }
     
     /**
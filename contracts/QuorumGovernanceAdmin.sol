@@ -0,0 +1,506 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./QuorumGovernanceBase.sol";
+
+/**
+ * @title QuorumGovernanceAdmin
+ * @notice Privileged functions of QuorumGovernance: agent management, parameters, roles and ownership
+ * @dev Deployed by the QuorumGovernance constructor and only meaningful through its delegatecalls,
+ *      which run this code against QuorumGovernance's storage with the original msg.sender.
+ *      Kept separate so QuorumGovernance stays under the 24KB contract size limit.
+ *      Calling this contract directly only touches its own, unused storage.
+ */
+contract QuorumGovernanceAdmin is QuorumGovernanceBase {
+    
+    // ============ Agent Management ============
+    
+    /**
+     * @notice Register a new agent with voting power
+     * @dev Each address can only be registered once; use reactivateAgent to bring back a deactivated agent
+     * @param _agent Address of the agent
+     * @param _votingPower Voting power to assign
+     * @param _metadata IPFS hash or metadata identifier
+     */
+    function registerAgent(
+        address _agent,
+        uint256 _votingPower,
+        string memory _metadata
+    ) external onlyGovernance(REGISTRAR_ROLE) {
+        require(_agent != address(0), "Invalid address");
+        require(!agents[_agent].isRegistered, "Agent already registered");
+        require(_votingPower > 0, "Invalid voting power");
+        
+        agents[_agent] = Agent({
+            agentAddress: _agent,
+            votingPower: _votingPower,
+            isRegistered: true,
+            isActive: true,
+            isVerified: false,
+            verifiedAt: 0,
+            metadata: _metadata
+        });
+        
+        agentList.push(_agent);
+        totalVotingPower += _votingPower;
+        
+        _moveVotes(address(0), delegates(_agent), _votingPower);
+        _writeCheckpoint(_totalVotingPowerCheckpoints, totalVotingPower);
+        
+        emit AgentRegistered(_agent, _votingPower, _metadata);
+    }
+    
+    /**
+     * @notice Verify an agent (could be based on off-chain verification)
+     * @dev With a verification TTL set, verifying again renews the verification. The
+     *      attestationVerifier may call this whether or not the contract is self-governed.
+     * @param _agent Address of the agent to verify
+     */
+    function verifyAgent(address _agent) external {
+        _verifyAgent(_agent, 0);
+    }
+    
+    /**
+     * @notice Verify an agent for no longer than a given time
+     * @dev Same access and renewal rules as verifyAgent. The verification lapses at `_until`
+     *      or when the verification TTL runs out, whichever comes first.
+     * @param _agent Address of the agent to verify
+     * @param _until Timestamp at which the verification lapses
+     */
+    function verifyAgentUntil(address _agent, uint256 _until) external {
+        require(_until > block.timestamp, "Invalid expiry");
+        _verifyAgent(_agent, _until);
+    }
+    
+    /**
+     * @dev Shared body of verifyAgent and verifyAgentUntil
+     * @param _agent Address of the agent to verify
+     * @param _until Cap on the verification (0 = none)
+     */
+    function _verifyAgent(address _agent, uint256 _until) private {
+        if (msg.sender != attestationVerifier) {
+            _checkGovernance(VERIFIER_ROLE);
+        }
+        require(agents[_agent].isActive, "Agent not active");
+        require(
+            !agents[_agent].isVerified || verificationTtl != 0 || verifiedUntil[_agent] != 0,
+            "Agent already verified"
+        );
+        
+        if (!agents[_agent].isVerified) {
+            _activeVerifiedAgentCount++;
+        }
+        agents[_agent].isVerified = true;
+        agents[_agent].verifiedAt = block.timestamp;
+        verifiedUntil[_agent] = _until;
+        
+        emit AgentVerified(_agent, msg.sender);
+    }
+    
+    /**
+     * @notice Withdraw an agent's verification before it expires
+     * @dev Any delegation made by the agent is cleared, and power delegated to it goes back
+     *      to its delegators
+     * @param _agent Address of the agent
+     */
+    function revokeVerification(address _agent) external onlyGovernance(VERIFIER_ROLE) {
+        require(agents[_agent].isVerified, "Agent not verified");
+        
+        if (_delegates[_agent] != address(0)) {
+            _delegate(_agent, _agent);
+        }
+        _returnDelegations(_agent);
+        if (agents[_agent].isActive) {
+            _activeVerifiedAgentCount--;
+        }
+        agents[_agent].isVerified = false;
+        agents[_agent].verifiedAt = 0;
+        verifiedUntil[_agent] = 0;
+        
+        emit VerificationRevoked(_agent, msg.sender);
+    }
+    
+    /**
+     * @notice Deactivate an agent
+     * @dev Any delegation made by the agent is cleared, and power delegated to it goes back
+     *      to its delegators
+     * @param _agent Address of the agent to deactivate
+     */
+    function deactivateAgent(address _agent) external onlyGovernance(REGISTRAR_ROLE) {
+        require(agents[_agent].isActive, "Agent not active");
+        
+        if (_delegates[_agent] != address(0)) {
+            _delegate(_agent, _agent);
+        }
+        _returnDelegations(_agent);
+        
+        agents[_agent].isActive = false;
+        totalVotingPower -= agents[_agent].votingPower;
+        if (agents[_agent].isVerified) {
+            _activeVerifiedAgentCount--;
+        }
+        
+        _moveVotes(_agent, address(0), agents[_agent].votingPower);
+        _writeCheckpoint(_totalVotingPowerCheckpoints, totalVotingPower);
+        
+        emit AgentDeactivated(_agent);
+    }
+    
+    /**
+     * @notice Undo the delegations of an agent whose verification lapsed, both ways
+     * @dev Callable by anyone: expiry happens without a transaction, so this is how power stops
+     *      counting through delegations to or from an agent that can no longer vote. Clears the
+     *      agent's own delegation and hands power delegated to it back to its delegators.
+     * @param _agent Agent whose verification is no longer valid
+     */
+    function returnDelegations(address _agent) external {
+        require(!isVerificationValid(_agent), "Delegate still verified");
+        require(
+            _delegates[_agent] != address(0) || _delegators[_agent].length > 0,
+            "No delegations"
+        );
+        
+        if (_delegates[_agent] != address(0)) {
+            _delegate(_agent, _agent);
+        }
+        _returnDelegations(_agent);
+    }
+    
+    /**
+     * @notice Reactivate a deactivated agent
+     * @dev Restores the agent's last voting power and keeps its verification status
+     * @param _agent Address of the agent to reactivate
+     */
+    function reactivateAgent(address _agent) external onlyGovernance(REGISTRAR_ROLE) {
+        require(agents[_agent].isRegistered, "Agent not registered");
+        require(!agents[_agent].isActive, "Agent already active");
+        
+        agents[_agent].isActive = true;
+        totalVotingPower += agents[_agent].votingPower;
+        if (agents[_agent].isVerified) {
+            _activeVerifiedAgentCount++;
+        }
+        
+        _moveVotes(address(0), delegates(_agent), agents[_agent].votingPower);
+        _writeCheckpoint(_totalVotingPowerCheckpoints, totalVotingPower);
+        
+        emit AgentReactivated(_agent);
+    }
+    
+    /**
+     * @notice Update agent's voting power
+     * @param _agent Address of the agent
+     * @param _newVotingPower New voting power
+     */
+    function updateVotingPower(address _agent, uint256 _newVotingPower) 
+        external 
+        onlyGovernance(REGISTRAR_ROLE) 
+    {
+        require(agents[_agent].isActive, "Agent not active");
+        require(_newVotingPower > 0, "Invalid voting power");
+        
+        uint256 oldPower = agents[_agent].votingPower;
+        
+        totalVotingPower = totalVotingPower - oldPower + _newVotingPower;
+        agents[_agent].votingPower = _newVotingPower;
+        
+        if (_newVotingPower > oldPower) {
+            _moveVotes(address(0), delegates(_agent), _newVotingPower - oldPower);
+        } else {
+            _moveVotes(delegates(_agent), address(0), oldPower - _newVotingPower);
+        }
+        _writeCheckpoint(_totalVotingPowerCheckpoints, totalVotingPower);
+        
+        emit VotingPowerUpdated(_agent, oldPower, _newVotingPower);
+    }
+    
+    // ============ Parameters ============
+    
+    /**
+     * @notice Update quorum requirement
+     * @dev Applies to proposals created afterwards
+     * @param _newQuorumBasisPoints New quorum in basis points
+     */
+    function updateQuorum(uint256 _newQuorumBasisPoints) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        require(_newQuorumBasisPoints <= 10000, "Quorum too high");
+        uint256 oldQuorum = quorumBasisPoints;
+        quorumBasisPoints = _newQuorumBasisPoints;
+        emit QuorumUpdated(oldQuorum, _newQuorumBasisPoints);
+    }
+    
+    /**
+     * @notice Update voting period
+     * @param _newVotingPeriod New voting period in blocks
+     */
+    function updateVotingPeriod(uint256 _newVotingPeriod) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        require(_newVotingPeriod > 0, "Invalid voting period");
+        uint256 oldPeriod = votingPeriod;
+        votingPeriod = _newVotingPeriod;
+        emit VotingPeriodUpdated(oldPeriod, _newVotingPeriod);
+    }
+    
+    /**
+     * @notice Update voting delay
+     * @param _newVotingDelay New voting delay in blocks
+     */
+    function updateVotingDelay(uint256 _newVotingDelay) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        uint256 oldDelay = votingDelay;
+        votingDelay = _newVotingDelay;
+        emit VotingDelayUpdated(oldDelay, _newVotingDelay);
+    }
+    
+    /**
+     * @notice Update the delay between queueing and execution
+     * @dev Applies to proposals queued after the change
+     * @param _newTimelockDelay New timelock delay in seconds
+     */
+    function updateTimelockDelay(uint256 _newTimelockDelay) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        require(_newTimelockDelay <= MAXIMUM_TIMELOCK_DELAY, "Timelock delay too long");
+        uint256 oldDelay = timelockDelay;
+        timelockDelay = _newTimelockDelay;
+        emit TimelockDelayUpdated(oldDelay, _newTimelockDelay);
+    }
+    
+    /**
+     * @notice Update the voting weight required to create a proposal
+     * @param _newThreshold New threshold (0 disables the check)
+     */
+    function updateProposalThreshold(uint256 _newThreshold) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        uint256 oldThreshold = proposalThreshold;
+        proposalThreshold = _newThreshold;
+        emit ProposalThresholdUpdated(oldThreshold, _newThreshold);
+    }
+    
+    /**
+     * @notice Update how many pending or active proposals a proposer may have at once
+     * @param _newMax New cap (0 = unlimited)
+     */
+    function updateMaxActiveProposals(uint256 _newMax) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        uint256 oldMax = maxActiveProposals;
+        maxActiveProposals = _newMax;
+        emit MaxActiveProposalsUpdated(oldMax, _newMax);
+    }
+    
+    /**
+     * @notice Update the minimum gap between two proposals from the same proposer
+     * @param _newCooldown New cooldown in blocks (0 disables the check)
+     */
+    function updateProposalCooldown(uint256 _newCooldown) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        uint256 oldCooldown = proposalCooldown;
+        proposalCooldown = _newCooldown;
+        emit ProposalCooldownUpdated(oldCooldown, _newCooldown);
+    }
+    
+    /**
+     * @notice Set the counting strategy used by proposals created from now on
+     * @dev Existing proposals keep the strategy they were created with
+     * @param _newStrategy IVoteCounting contract, or zero for the built-in simple majority
+     */
+    function updateCountingStrategy(address _newStrategy) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        require(_newStrategy == address(0) || _newStrategy.code.length > 0, "Invalid strategy");
+        address oldStrategy = countingStrategy;
+        countingStrategy = _newStrategy;
+        emit CountingStrategyUpdated(oldStrategy, _newStrategy);
+    }
+    
+    /**
+     * @notice Turn the early-close rule on or off
+     * @dev Applies to votes cast from now on; proposals already finalized early stay closed
+     * @param _enabled Whether voting closes once the outcome is locked in
+     */
+    function updateEarlyFinalization(bool _enabled) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        earlyFinalization = _enabled;
+        emit EarlyFinalizationUpdated(_enabled);
+    }
+    
+    /**
+     * @notice Allow or forbid agents to change their vote before voting ends
+     * @param _allowed Whether casting a vote again moves it to the new choice
+     */
+    function updateVoteChangesAllowed(bool _allowed) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        voteChangesAllowed = _allowed;
+        emit VoteChangesAllowedUpdated(_allowed);
+    }
+    
+    /**
+     * @notice Set how long verifications stay valid
+     * @dev Applies to existing verifications too, measured from their verifiedAt
+     * @param _newTtl Validity in seconds (0 = verifications never expire)
+     */
+    function updateVerificationTtl(uint256 _newTtl) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        uint256 oldTtl = verificationTtl;
+        verificationTtl = _newTtl;
+        emit VerificationTtlUpdated(oldTtl, _newTtl);
+    }
+    
+    /**
+     * @notice Enable proposal categories by connecting the category registry
+     * @dev Can only be set once, so categorized proposals always refer to the same registry
+     * @param _registry ProposalCategoryRegistry deployed for this contract
+     */
+    function setCategoryRegistry(address _registry) external onlyGovernance(PARAMETER_ADMIN_ROLE) {
+        require(address(categoryRegistry) == address(0), "Registry already set");
+        require(ProposalCategoryRegistry(_registry).governance() == address(this), "Invalid registry");
+        categoryRegistry = ProposalCategoryRegistry(_registry);
+        emit CategoryRegistrySet(_registry);
+    }
+    
+    /**
+     * @notice Hand parameter and agent management over to governance, permanently
+     * @dev Afterwards the agent management functions, the parameter setters, role management
+     *      and cancelling other agents' proposals only accept calls from this contract, i.e.
+     *      from an executed proposal. Role holders keep their roles but can no longer use them.
+     */
+    function enableSelfGovernance() external onlyOwner {
+        require(!selfGoverned, "Already self-governed");
+        selfGoverned = true;
+        emit SelfGovernanceEnabled(msg.sender);
+    }
+    
+    // ============ Guardian ============
+    
+    /**
+     * @notice Appoint, replace or remove (zero address) the guardian
+     * @dev The contract itself (via executeProposal) may always call this; the owner only
+     *      until self-governance is enabled. A new appointment gives the guardian a fresh pause.
+     * @param _newGuardian Address of the new guardian
+     */
+    function setGuardian(address _newGuardian) external {
+        if (msg.sender != address(this)) {
+            require(!selfGoverned, "Only governance");
+            require(msg.sender == owner, "Only owner");
+        }
+        
+        address oldGuardian = guardian;
+        guardian = _newGuardian;
+        guardianPauseUsed = false;
+        emit GuardianUpdated(oldGuardian, _newGuardian);
+    }
+    
+    /**
+     * @notice Halt proposing, voting and execution for PAUSE_DURATION
+     * @dev Each guardian appointment allows a single pause, so a guardian cannot keep
+     *      governance halted long enough to block its own removal
+     */
+    function pause() external onlyGuardian {
+        require(!guardianPauseUsed, "Pause already used");
+        guardianPauseUsed = true;
+        pausedUntil = block.timestamp + PAUSE_DURATION;
+        emit Paused(msg.sender, pausedUntil);
+    }
+    
+    /**
+     * @notice Lift the pause before it runs out
+     */
+    function unpause() external onlyGuardian {
+        require(paused(), "Not paused");
+        pausedUntil = 0;
+        emit Unpaused(msg.sender);
+    }
+    
+    // ============ Access Control ============
+    
+    /**
+     * @notice Grant a role to an account
+     * @dev Owner-only until self-governance is enabled, then only via an executed proposal
+     * @param _role Role identifier
+     * @param _account Address receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) external onlyOwnerOrGovernance {
+        require(_account != address(0), "Invalid address");
+        require(!_roles[_role][_account], "Role already granted");
+        _grantRole(_role, _account);
+    }
+    
+    /**
+     * @notice Revoke a role from an account
+     * @dev Owner-only until self-governance is enabled, then only via an executed proposal
+     * @param _role Role identifier
+     * @param _account Address losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) external onlyOwnerOrGovernance {
+        _revokeRole(_role, _account);
+    }
+    
+    /**
+     * @notice Give up a role held by the caller
+     * @param _role Role identifier
+     */
+    function renounceRole(bytes32 _role) external {
+        _revokeRole(_role, msg.sender);
+    }
+    
+    /**
+     * @notice Let a verifier contract verify agents, including once self-governance is enabled
+     * @dev Owner-only until self-governance is enabled, then only via an executed proposal
+     * @param _verifier Verifier contract, or the zero address to remove it
+     */
+    function setAttestationVerifier(address _verifier) external onlyOwnerOrGovernance {
+        require(_verifier == address(0) || _verifier.code.length > 0, "Invalid verifier");
+        address oldVerifier = attestationVerifier;
+        attestationVerifier = _verifier;
+        emit AttestationVerifierUpdated(oldVerifier, _verifier);
+    }
+    
+    /**
+     * @dev Revoke a role without access checks
+     */
+    function _revokeRole(bytes32 _role, address _account) internal {
+        require(_roles[_role][_account], "Role not granted");
+        _roles[_role][_account] = false;
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+    
+    // ============ Ownership ============
+    
+    /**
+     * @notice Start transferring ownership; takes effect once the new owner accepts
+     * @dev Replaces any transfer already pending
+     * @param _newOwner Address of new owner
+     */
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid address");
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+    
+    /**
+     * @notice Accept a pending ownership transfer
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        _setOwner(msg.sender);
+    }
+    
+    /**
+     * @notice Cancel a pending ownership transfer
+     */
+    function cancelOwnershipTransfer() external onlyOwner {
+        require(pendingOwner != address(0), "No pending transfer");
+        emit OwnershipTransferCanceled(owner, pendingOwner);
+        pendingOwner = address(0);
+    }
+    
+    /**
+     * @notice Give up ownership permanently
+     * @dev Enables self-governance first if it is not yet enabled, so that role holders cannot
+     *      keep using their roles with nobody left to revoke them
+     */
+    function renounceOwnership() external onlyOwner {
+        if (!selfGoverned) {
+            selfGoverned = true;
+            emit SelfGovernanceEnabled(msg.sender);
+        }
+        _setOwner(address(0));
+    }
+    
+    /**
+     * @dev Set a new owner and clear any pending transfer
+     */
+    function _setOwner(address _newOwner) internal {
+        address previousOwner = owner;
+        owner = _newOwner;
+        pendingOwner = address(0);
+        emit OwnershipTransferred(previousOwner, _newOwner);
+    }
+}
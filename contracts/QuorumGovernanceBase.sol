@@ -0,0 +1,537 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./counting/IVoteCounting.sol";
+import "./ProposalCategoryRegistry.sol";
+
+/**
+ * @title QuorumGovernanceBase
+ * @notice Storage, events and shared internals of QuorumGovernance
+ * @dev Inherited by QuorumGovernance and by QuorumGovernanceAdmin, whose code runs against
+ *      QuorumGovernance's storage via delegatecall. Neither may declare state variables of
+ *      its own, so that both always see the same storage layout.
+ */
+abstract contract QuorumGovernanceBase {
+    
+    // ============ State Variables ============
+    
+    /// @notice Minimum percentage of total voting power required for quorum (basis points, e.g., 4000 = 40%)
+    uint256 public quorumBasisPoints;
+    
+    /// @notice Voting period duration in blocks
+    uint256 public votingPeriod;
+    
+    /// @notice Delay before voting starts after proposal creation (in blocks)
+    uint256 public votingDelay;
+    
+    /// @notice Minimum delay between queueing a proposal and executing it (in seconds)
+    uint256 public timelockDelay;
+    
+    /// @notice Upper bound for timelockDelay
+    uint256 public constant MAXIMUM_TIMELOCK_DELAY = 30 days;
+    
+    /// @notice Window after a proposal's ETA during which it can be executed
+    uint256 public constant GRACE_PERIOD = 14 days;
+    
+    /// @notice Maximum number of calls a single proposal may execute
+    uint256 public constant MAX_PROPOSAL_ACTIONS = 10;
+    
+    /// @notice How long a guardian pause lasts unless lifted earlier
+    uint256 public constant PAUSE_DURATION = 14 days;
+    
+    /// @notice Voting weight an agent needs to create a proposal
+    uint256 public proposalThreshold;
+    
+    /// @notice Maximum pending or active proposals per proposer (0 = unlimited)
+    uint256 public maxActiveProposals;
+    
+    /// @notice Minimum number of blocks between two proposals from the same proposer
+    uint256 public proposalCooldown;
+    
+    /// @notice Counting strategy applied to new proposals (zero = built-in simple majority)
+    address public countingStrategy;
+    
+    /// @notice Registry of proposal categories (set once; zero = categories not enabled)
+    ProposalCategoryRegistry public categoryRegistry;
+    
+    /// @notice Whether voting closes as soon as the outstanding votes can no longer change the outcome
+    bool public earlyFinalization;
+    
+    /// @notice Whether agents may change their vote until the proposal's endBlock
+    bool public voteChangesAllowed;
+    
+    /// @notice Seconds a verification stays valid after verifyAgent (0 = never expires)
+    uint256 public verificationTtl;
+    
+    /// @notice EIP-712 typehash for delegateBySig
+    bytes32 public constant DELEGATION_TYPEHASH =
+        keccak256("Delegation(address delegator,address delegatee,uint256 nonce,uint256 deadline)");
+    
+    /// @notice EIP-712 typehash for castVoteBySig
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,uint8 choice,address voter,uint256 nonce,uint256 deadline)");
+    
+    bytes32 internal constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    
+    /// @notice Contract owner; administers roles
+    address public owner;
+    
+    /// @notice Address nominated by transferOwnership, pending acceptance
+    address public pendingOwner;
+    
+    /// @notice Once true, parameters and agents can only be changed by executed proposals
+    bool public selfGoverned;
+    
+    /// @notice May veto succeeded or queued proposals and pause the contract (zero = none)
+    address public guardian;
+    
+    /// @notice Timestamp until which proposing, voting and execution are halted
+    uint256 public pausedUntil;
+    
+    /// @notice Whether the current guardian has used its one pause
+    bool public guardianPauseUsed;
+    
+    /// @notice Contract that may verify agents even once self-governed, e.g. an AgentAttestationVerifier (zero = none)
+    address public attestationVerifier;
+    
+    /// @notice May register agents, update their voting power and deactivate or reactivate them
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    
+    /// @notice May verify registered agents
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    
+    /// @notice May change quorum, voting delay/period, timelock delay, proposal limits and counting
+    bytes32 public constant PARAMETER_ADMIN_ROLE = keccak256("PARAMETER_ADMIN_ROLE");
+    
+    /// @notice May cancel any proposal that has not been executed
+    bytes32 public constant CANCELLER_ROLE = keccak256("CANCELLER_ROLE");
+    
+    /// @notice Proposal counter
+    uint256 public proposalCount;
+    
+    /// @notice Total registered voting power
+    uint256 public totalVotingPower;
+    
+    /// @dev Historical total voting power, one entry per block in which it changed
+    Checkpoint[] internal _totalVotingPowerCheckpoints;
+    
+    // ============ Structs ============
+    
+    struct Agent {
+        address agentAddress;
+        uint256 votingPower;
+        bool isRegistered; // Set on first registration and never cleared
+        bool isActive;
+        bool isVerified;
+        uint256 verifiedAt;
+        string metadata; // IPFS hash or identifier
+    }
+    
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        string description;
+        uint256 startBlock;
+        uint256 endBlock;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        bool executed;
+        bool canceled;
+        ProposalState state;
+        uint256 eta; // Earliest execution timestamp, set when queued
+    }
+    
+    struct ProposalAction {
+        address target; // Contract to call if proposal passes
+        uint256 value; // ETH (wei) sent with the call
+        bytes data; // Encoded function call for execution
+    }
+    
+    struct Checkpoint {
+        uint256 fromBlock;
+        uint256 votes;
+    }
+    
+    struct Vote {
+        bool hasVoted;
+        VoteChoice choice;
+        uint256 votingPower;
+        uint256 timestamp;
+    }
+    
+    enum VoteChoice {
+        Against,
+        For,
+        Abstain
+    }
+    
+    enum ProposalState {
+        Pending,
+        Active,
+        Canceled,
+        Defeated,
+        Succeeded,
+        Queued,
+        Expired,
+        Executed,
+        Vetoed
+    }
+    
+    // ============ Mappings ============
+    
+    /// @notice Agent address => Agent data
+    mapping(address => Agent) public agents;
+    
+    /// @notice Agent address => latest time its verification may last until (0 = no cap)
+    mapping(address => uint256) public verifiedUntil;
+    
+    /// @notice Proposal ID => Proposal data
+    mapping(uint256 => Proposal) public proposals;
+    
+    /// @dev Proposal ID => calls executed, in order, when the proposal is executed
+    mapping(uint256 => ProposalAction[]) internal _proposalActions;
+    
+    /// @notice Proposal ID => Agent address => Vote
+    mapping(uint256 => mapping(address => Vote)) public votes;
+    
+    /// @notice List of all agent addresses
+    address[] public agentList;
+    
+    /// @dev Active agents holding a verification (expired ones count until renewed or revoked)
+    uint256 internal _activeVerifiedAgentCount;
+    
+    /// @notice Proposal ID => agents that voted on it, in voting order
+    mapping(uint256 => address[]) public proposalVoters;
+    
+    /// @dev Agent address => historical voting weight (own active power plus power delegated to it)
+    mapping(address => Checkpoint[]) internal _votingPowerCheckpoints;
+    
+    /// @dev Agent address => agent it delegates to (zero means self)
+    mapping(address => address) internal _delegates;
+    
+    /// @dev Agent address => agents currently delegating to it, in no particular order
+    mapping(address => address[]) internal _delegators;
+    
+    /// @dev Delegator address => position in its delegate's _delegators + 1 (0 = not delegating)
+    mapping(address => uint256) internal _delegatorIndex;
+    
+    /// @dev Role => account => whether the account holds the role
+    mapping(bytes32 => mapping(address => bool)) internal _roles;
+    
+    /// @notice Signer address => next nonce for signature-based actions
+    mapping(address => uint256) public nonces;
+    
+    /// @notice Proposer address => block of its latest proposal
+    mapping(address => uint256) public lastProposalBlock;
+    
+    /// @dev Proposer address => IDs of its proposals that may still be pending or active
+    mapping(address => uint256[]) internal _openProposals;
+    
+    /// @notice Proposal ID => counting strategy it is tallied with (zero = built-in simple majority)
+    mapping(uint256 => address) public proposalCountingStrategy;
+    
+    /// @notice Proposal ID => category in categoryRegistry (0 = uncategorized, global parameters)
+    mapping(uint256 => uint256) public proposalCategory;
+    
+    /// @notice Proposal ID => quorum in basis points, fixed when the proposal is created
+    mapping(uint256 => uint256) public proposalQuorum;
+    
+    /// @dev Proposal ID => raw voting power cast, used for quorum whatever the counting strategy
+    mapping(uint256 => uint256) internal _participation;
+    
+    /// @notice Proposal ID => whether voting closed early because the outcome was locked in
+    mapping(uint256 => bool) public finalizedEarly;
+    
+    /// @notice Proposal ID => whether the guardian vetoed it
+    mapping(uint256 => bool) public vetoed;
+    
+    // ============ Events ============
+    
+    event AgentRegistered(address indexed agent, uint256 votingPower, string metadata);
+    event AgentVerified(address indexed agent, address indexed verifier);
+    event VerificationRevoked(address indexed agent, address indexed revokedBy);
+    event AgentDeactivated(address indexed agent);
+    event AgentReactivated(address indexed agent);
+    event VotingPowerUpdated(address indexed agent, uint256 oldPower, uint256 newPower);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousVotes, uint256 newVotes);
+    
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        string description,
+        uint256 startBlock,
+        uint256 endBlock
+    );
+    event VoteCast(
+        address indexed voter,
+        uint256 indexed proposalId,
+        VoteChoice choice,
+        uint256 votingPower
+    );
+    event VoteChanged(
+        address indexed voter,
+        uint256 indexed proposalId,
+        VoteChoice oldChoice,
+        VoteChoice newChoice,
+        uint256 votingPower
+    );
+    event VoteCastWithReason(
+        address indexed voter,
+        uint256 indexed proposalId,
+        VoteChoice choice,
+        uint256 votingPower,
+        string reason,
+        bytes params
+    );
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCanceled(uint256 indexed proposalId);
+    event ProposalFinalizedEarly(uint256 indexed proposalId, ProposalState outcome);
+    event ProposalVetoed(uint256 indexed proposalId, address indexed guardian);
+    
+    event QuorumUpdated(uint256 oldQuorum, uint256 newQuorum);
+    event VotingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event VotingDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event TimelockDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event ProposalThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event MaxActiveProposalsUpdated(uint256 oldMax, uint256 newMax);
+    event ProposalCooldownUpdated(uint256 oldCooldown, uint256 newCooldown);
+    event CountingStrategyUpdated(address indexed oldStrategy, address indexed newStrategy);
+    event CategoryRegistrySet(address indexed registry);
+    event EarlyFinalizationUpdated(bool enabled);
+    event VoteChangesAllowedUpdated(bool allowed);
+    event VerificationTtlUpdated(uint256 oldTtl, uint256 newTtl);
+    event AttestationVerifierUpdated(address indexed oldVerifier, address indexed newVerifier);
+    
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event Paused(address indexed guardian, uint256 until);
+    event Unpaused(address indexed account);
+    
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferCanceled(address indexed owner, address indexed canceledOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event SelfGovernanceEnabled(address indexed enabledBy);
+    
+    // ============ Modifiers ============
+    
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+    
+    /// @dev Role holders before self-governance is enabled, only the contract itself (via executeProposal) after
+    modifier onlyGovernance(bytes32 _role) {
+        _checkGovernance(_role);
+        _;
+    }
+    
+    /// @dev The owner before self-governance is enabled, only the contract itself (via executeProposal) after
+    modifier onlyOwnerOrGovernance() {
+        if (selfGoverned) {
+            require(msg.sender == address(this), "Only governance");
+        } else {
+            require(msg.sender == owner, "Only owner");
+        }
+        _;
+    }
+    
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Only guardian");
+        _;
+    }
+    
+    modifier whenNotPaused() {
+        require(!paused(), "Paused");
+        _;
+    }
+    
+    modifier onlyActiveAgent() {
+        require(agents[msg.sender].isActive, "Agent not active");
+        _;
+    }
+    
+    modifier onlyVerifiedAgent() {
+        require(isVerificationValid(msg.sender), "Agent not verified");
+        _;
+    }
+    
+    // ============ Delegation ============
+    
+    /**
+     * @notice Get the agent currently receiving an agent's voting power
+     * @param _agent Address of the agent
+     * @return The delegate, or the agent itself if it has not delegated
+     */
+    function delegates(address _agent) public view returns (address) {
+        address delegatee = _delegates[_agent];
+        return delegatee == address(0) ? _agent : delegatee;
+    }
+    
+    /**
+     * @notice Get the number of agents currently delegating to an agent
+     * @param _agent Address of the agent
+     */
+    function delegatorCount(address _agent) public view returns (uint256) {
+        return _delegators[_agent].length;
+    }
+    
+    /**
+     * @dev Point `_delegator`'s power at `_delegatee`, enforcing the single-hop rules
+     */
+    function _delegate(address _delegator, address _delegatee) internal {
+        address current = delegates(_delegator);
+        address target = _delegatee == address(0) ? _delegator : _delegatee;
+        require(target != current, "Already delegated");
+        
+        if (target == _delegator) {
+            _delegates[_delegator] = address(0);
+        } else {
+            require(agents[target].isActive, "Delegatee not active");
+            require(isVerificationValid(target), "Delegatee not verified");
+            require(_delegates[target] == address(0), "Delegatee has delegated");
+            require(_delegators[_delegator].length == 0, "Delegator holds delegations");
+            
+            _delegates[_delegator] = target;
+        }
+        
+        if (current != _delegator) {
+            _removeDelegator(current, _delegator);
+        }
+        if (target != _delegator) {
+            _delegators[target].push(_delegator);
+            _delegatorIndex[_delegator] = _delegators[target].length;
+        }
+        
+        emit DelegateChanged(_delegator, current, target);
+        
+        if (agents[_delegator].isActive) {
+            _moveVotes(current, target, agents[_delegator].votingPower);
+        }
+    }
+    
+    /**
+     * @dev Swap-and-pop `_delegator` out of `_delegatee`'s delegator list
+     */
+    function _removeDelegator(address _delegatee, address _delegator) internal {
+        address[] storage list = _delegators[_delegatee];
+        uint256 index = _delegatorIndex[_delegator] - 1;
+        address last = list[list.length - 1];
+        
+        list[index] = last;
+        _delegatorIndex[last] = index + 1;
+        list.pop();
+        delete _delegatorIndex[_delegator];
+    }
+    
+    /**
+     * @dev Hand the power delegated to `_delegatee` back to each of its delegators
+     */
+    function _returnDelegations(address _delegatee) internal {
+        address[] storage list = _delegators[_delegatee];
+        while (list.length > 0) {
+            address delegator = list[list.length - 1];
+            _delegate(delegator, delegator);
+        }
+    }
+    
+    /**
+     * @dev Move voting weight between delegates; the zero address mints or burns weight
+     */
+    function _moveVotes(address _from, address _to, uint256 _amount) internal {
+        if (_from == _to || _amount == 0) {
+            return;
+        }
+        
+        if (_from != address(0)) {
+            Checkpoint[] storage fromCheckpoints = _votingPowerCheckpoints[_from];
+            uint256 oldVotes = fromCheckpoints.length == 0 ? 0 : fromCheckpoints[fromCheckpoints.length - 1].votes;
+            _writeCheckpoint(fromCheckpoints, oldVotes - _amount);
+            emit DelegateVotesChanged(_from, oldVotes, oldVotes - _amount);
+        }
+        
+        if (_to != address(0)) {
+            Checkpoint[] storage toCheckpoints = _votingPowerCheckpoints[_to];
+            uint256 oldVotes = toCheckpoints.length == 0 ? 0 : toCheckpoints[toCheckpoints.length - 1].votes;
+            _writeCheckpoint(toCheckpoints, oldVotes + _amount);
+            emit DelegateVotesChanged(_to, oldVotes, oldVotes + _amount);
+        }
+    }
+    
+    // ============ Verification ============
+    
+    /**
+     * @notice Whether an agent is verified and its verification has not expired
+     * @param _agent Address of the agent
+     */
+    function isVerificationValid(address _agent) public view returns (bool) {
+        uint256 expiresAt = verificationExpiresAt(_agent);
+        return agents[_agent].isVerified && (expiresAt == 0 || block.timestamp < expiresAt);
+    }
+    
+    /**
+     * @notice Timestamp at which an agent's verification lapses
+     * @dev The earlier of `verifiedAt + verificationTtl` and the agent's verifiedUntil cap
+     * @param _agent Address of the agent
+     * @return Expiry timestamp (0 if the agent is not verified or its verification never expires)
+     */
+    function verificationExpiresAt(address _agent) public view returns (uint256) {
+        Agent storage agent = agents[_agent];
+        if (!agent.isVerified) {
+            return 0;
+        }
+        uint256 expiresAt = verifiedUntil[_agent];
+        if (verificationTtl != 0 && (expiresAt == 0 || agent.verifiedAt + verificationTtl < expiresAt)) {
+            expiresAt = agent.verifiedAt + verificationTtl;
+        }
+        return expiresAt;
+    }
+    
+    // ============ Pause ============
+    
+    /**
+     * @notice Whether proposing, voting and execution are currently halted
+     */
+    function paused() public view returns (bool) {
+        return block.timestamp < pausedUntil;
+    }
+    
+    // ============ Shared Internals ============
+    
+    /**
+     * @dev Record a new value, overwriting the latest checkpoint if it is from the current block
+     */
+    function _writeCheckpoint(Checkpoint[] storage _checkpoints, uint256 _value) internal {
+        uint256 length = _checkpoints.length;
+        
+        if (length > 0 && _checkpoints[length - 1].fromBlock == block.number) {
+            _checkpoints[length - 1].votes = _value;
+        } else {
+            _checkpoints.push(Checkpoint({fromBlock: block.number, votes: _value}));
+        }
+    }
+    
+    /**
+     * @dev Grant a role without access checks; used by the constructor and grantRole
+     */
+    function _grantRole(bytes32 _role, address _account) internal {
+        _roles[_role][_account] = true;
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+    
+    /**
+     * @dev Access check behind onlyGovernance
+     */
+    function _checkGovernance(bytes32 _role) internal view {
+        if (selfGoverned) {
+            require(msg.sender == address(this), "Only governance");
+        } else {
+            require(_roles[_role][msg.sender], "Missing role");
+        }
+    }
+}
@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./QuorumGovernance.sol";
+
+/**
+ * @title QuorumGovernanceLens
+ * @notice Paged and filtered read-only views over a QuorumGovernance deployment
+ * @dev Kept out of the governance contract so it stays under the contract size limit. Every
+ *      function reads through the governance contract's public getters and does at most
+ *      `_limit` iterations, so pages fit within RPC gas limits however large the roster grows.
+ */
+contract QuorumGovernanceLens {
+    
+    // ============ State Variables ============
+    
+    /// @notice Governance contract this lens reads
+    QuorumGovernance public immutable governance;
+    
+    // ============ Constructor ============
+    
+    constructor(address _governance) {
+        require(_governance != address(0), "Invalid address");
+        governance = QuorumGovernance(payable(_governance));
+    }
+    
+    // ============ Agents ============
+    
+    /**
+     * @notice Get a page of registered agents, in registration order
+     * @param _offset Index in agentList of the first agent
+     * @param _limit Maximum number of agents to return
+     * @return page Agent data, empty once `_offset` is past the end
+     */
+    function getAgents(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (QuorumGovernanceBase.Agent[] memory page)
+    {
+        uint256 end = _pageEnd(_offset, _limit, governance.getAgentCount());
+        page = new QuorumGovernanceBase.Agent[](end > _offset ? end - _offset : 0);
+        
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = governance.getAgent(governance.agentList(i));
+        }
+    }
+    
+    /**
+     * @notice Get the active agents among a window of agentList
+     * @dev Scans `_limit` entries from `_offset`; keep calling with `nextOffset` until it
+     *      reaches getAgentCount. A window may hold fewer matches than `_limit`, or none.
+     * @param _offset Index in agentList to start scanning at
+     * @param _limit Number of entries to scan
+     * @return matches Addresses of active agents in the window
+     * @return nextOffset Index to continue scanning from
+     */
+    function getActiveAgents(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (address[] memory matches, uint256 nextOffset)
+    {
+        return _filterAgents(_offset, _limit, false);
+    }
+    
+    /**
+     * @notice Get the active agents with a valid (unexpired) verification among a window of agentList
+     * @dev Scans like getActiveAgents
+     * @param _offset Index in agentList to start scanning at
+     * @param _limit Number of entries to scan
+     * @return matches Addresses of active, verified agents in the window
+     * @return nextOffset Index to continue scanning from
+     */
+    function getActiveVerifiedAgents(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (address[] memory matches, uint256 nextOffset)
+    {
+        return _filterAgents(_offset, _limit, true);
+    }
+    
+    /**
+     * @notice Get the active agents among a window of agentList whose verification is still
+     *         valid but lapses within the given window of time
+     * @dev Scans like getActiveAgents. Finds nothing while no verification TTL is set.
+     * @param _within Window in seconds from now
+     * @param _offset Index in agentList to start scanning at
+     * @param _limit Number of entries to scan
+     * @return matches Addresses of the agents in the window, in registration order
+     * @return nextOffset Index to continue scanning from
+     */
+    function getExpiringVerifications(uint256 _within, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (address[] memory matches, uint256 nextOffset)
+    {
+        nextOffset = _pageEnd(_offset, _limit, governance.getAgentCount());
+        matches = new address[](nextOffset > _offset ? nextOffset - _offset : 0);
+        uint256 count = 0;
+        
+        for (uint256 i = _offset; i < nextOffset; i++) {
+            address agent = governance.agentList(i);
+            uint256 expiresAt = governance.verificationExpiresAt(agent);
+            if (
+                governance.getAgent(agent).isActive &&
+                expiresAt > block.timestamp &&
+                expiresAt <= block.timestamp + _within
+            ) {
+                matches[count++] = agent;
+            }
+        }
+        
+        assembly {
+            mstore(matches, count)
+        }
+    }
+    
+    // ============ Proposals ============
+    
+    /**
+     * @notice Get a page of proposals, in creation order
+     * @dev `state` holds the proposal's current state from getProposalState
+     * @param _offset Number of proposals to skip (offset 0 starts at proposal ID 1)
+     * @param _limit Maximum number of proposals to return
+     * @return page Proposal data, empty once `_offset` is past the end
+     */
+    function getProposals(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (QuorumGovernanceBase.Proposal[] memory page)
+    {
+        uint256 end = _pageEnd(_offset, _limit, governance.proposalCount());
+        page = new QuorumGovernanceBase.Proposal[](end > _offset ? end - _offset : 0);
+        
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _getProposal(i + 1);
+        }
+    }
+    
+    /**
+     * @notice Get a page of the agents that voted on a proposal, with their votes
+     * @param _proposalId ID of the proposal
+     * @param _offset Number of voters to skip
+     * @param _limit Maximum number of voters to return
+     * @return voters Voter addresses, in voting order
+     * @return ballots Each voter's current vote
+     */
+    function getProposalVoters(uint256 _proposalId, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (address[] memory voters, QuorumGovernanceBase.Vote[] memory ballots)
+    {
+        uint256 end = _pageEnd(_offset, _limit, governance.getProposalVoterCount(_proposalId));
+        uint256 size = end > _offset ? end - _offset : 0;
+        voters = new address[](size);
+        ballots = new QuorumGovernanceBase.Vote[](size);
+        
+        for (uint256 i = _offset; i < end; i++) {
+            address voter = governance.proposalVoters(_proposalId, i);
+            voters[i - _offset] = voter;
+            ballots[i - _offset] = governance.getVote(_proposalId, voter);
+        }
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Exclusive end index of a page, clipped to `_total`
+     */
+    function _pageEnd(uint256 _offset, uint256 _limit, uint256 _total) internal pure returns (uint256) {
+        if (_offset >= _total) {
+            return _offset;
+        }
+        return _limit > _total - _offset ? _total : _offset + _limit;
+    }
+    
+    /**
+     * @dev Scan a window of agentList for active (and optionally verified) agents
+     */
+    function _filterAgents(uint256 _offset, uint256 _limit, bool _verifiedOnly)
+        internal
+        view
+        returns (address[] memory matches, uint256 nextOffset)
+    {
+        nextOffset = _pageEnd(_offset, _limit, governance.getAgentCount());
+        matches = new address[](nextOffset > _offset ? nextOffset - _offset : 0);
+        uint256 count = 0;
+        
+        for (uint256 i = _offset; i < nextOffset; i++) {
+            address agent = governance.agentList(i);
+            if (
+                governance.getAgent(agent).isActive &&
+                (!_verifiedOnly || governance.isVerificationValid(agent))
+            ) {
+                matches[count++] = agent;
+            }
+        }
+        
+        assembly {
+            mstore(matches, count)
+        }
+    }
+    
+    /**
+     * @dev Copy a proposal out of the governance contract's public getter
+     */
+    function _getProposal(uint256 _proposalId)
+        internal
+        view
+        returns (QuorumGovernanceBase.Proposal memory proposal)
+    {
+        (
+            proposal.id,
+            proposal.proposer,
+            proposal.description,
+            proposal.startBlock,
+            proposal.endBlock,
+            proposal.forVotes,
+            proposal.againstVotes,
+            proposal.abstainVotes,
+            proposal.executed,
+            proposal.canceled,
+            ,
+            proposal.eta
+        ) = governance.proposals(_proposalId);
+        proposal.state = governance.getProposalState(_proposalId);
+    }
+}
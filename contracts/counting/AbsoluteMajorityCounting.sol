@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IVoteCounting.sol";
+
+/**
+ * @title AbsoluteMajorityCounting
+ * @notice For votes must exceed Against and Abstain votes combined
+ * @dev Unlike the built-in rule, abstaining works against the proposal
+ */
+contract AbsoluteMajorityCounting is IVoteCounting {
+    
+    function name() external pure returns (string memory) {
+        return "absolute-majority";
+    }
+    
+    function countedWeight(uint256 _votingPower) external pure returns (uint256) {
+        return _votingPower;
+    }
+    
+    function succeeded(
+        uint256 _forVotes,
+        uint256 _againstVotes,
+        uint256 _abstainVotes
+    ) external pure returns (bool) {
+        return _forVotes > _againstVotes + _abstainVotes;
+    }
+}
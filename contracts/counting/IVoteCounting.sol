@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IVoteCounting
+ * @notice Counting rule plugged into QuorumGovernance to weight votes and decide outcomes
+ * @dev Quorum is always measured on raw voting power; a strategy only changes how each
+ *      vote is weighted in the tallies and which tallies count as a win. Early finalization
+ *      relies on two properties: countedWeight never exceeds the voting power it is given, and
+ *      succeeded never turns true when only Against or Abstain votes are added.
+ */
+interface IVoteCounting {
+    /**
+     * @notice Short identifier of the rule, e.g. "supermajority"
+     */
+    function name() external view returns (string memory);
+    
+    /**
+     * @notice Weight added to a tally for a vote backed by `_votingPower`
+     * @param _votingPower Voter's power at the proposal's snapshot block
+     * @return Weight counted in forVotes / againstVotes / abstainVotes
+     */
+    function countedWeight(uint256 _votingPower) external view returns (uint256);
+    
+    /**
+     * @notice Whether the tallied votes pass the proposal (quorum is checked separately)
+     * @param _forVotes Weighted For votes
+     * @param _againstVotes Weighted Against votes
+     * @param _abstainVotes Weighted Abstain votes
+     * @return Whether the proposal succeeded
+     */
+    function succeeded(
+        uint256 _forVotes,
+        uint256 _againstVotes,
+        uint256 _abstainVotes
+    ) external view returns (bool);
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IVoteCounting.sol";
+
+/**
+ * @title QuadraticCounting
+ * @notice Each vote counts with the square root of the voter's power; For must exceed Against
+ * @dev Dampens the influence of large agents. Quorum still uses raw voting power.
+ */
+contract QuadraticCounting is IVoteCounting {
+    
+    function name() external pure returns (string memory) {
+        return "quadratic";
+    }
+    
+    function countedWeight(uint256 _votingPower) external pure returns (uint256) {
+        return _sqrt(_votingPower);
+    }
+    
+    function succeeded(
+        uint256 _forVotes,
+        uint256 _againstVotes,
+        uint256 /* _abstainVotes */
+    ) external pure returns (bool) {
+        return _forVotes > _againstVotes;
+    }
+    
+    /**
+     * @dev Integer square root (rounded down), Babylonian method
+     */
+    function _sqrt(uint256 _x) internal pure returns (uint256 y) {
+        if (_x == 0) {
+            return 0;
+        }
+        y = _x;
+        uint256 z = (_x + 1) / 2;
+        while (z < y) {
+            y = z;
+            z = (_x / z + z) / 2;
+        }
+    }
+}
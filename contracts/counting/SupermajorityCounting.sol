@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IVoteCounting.sol";
+
+/**
+ * @title SupermajorityCounting
+ * @notice For votes must make up at least a fixed share of the For + Against votes
+ * @dev Abstentions count toward quorum only. Typical thresholds: 6667 (two thirds), 7500.
+ */
+contract SupermajorityCounting is IVoteCounting {
+    
+    /// @notice Required share of For votes among For + Against votes (basis points)
+    uint256 public immutable thresholdBasisPoints;
+    
+    constructor(uint256 _thresholdBasisPoints) {
+        require(
+            _thresholdBasisPoints > 5000 && _thresholdBasisPoints <= 10000,
+            "Invalid threshold"
+        );
+        thresholdBasisPoints = _thresholdBasisPoints;
+    }
+    
+    function name() external pure returns (string memory) {
+        return "supermajority";
+    }
+    
+    function countedWeight(uint256 _votingPower) external pure returns (uint256) {
+        return _votingPower;
+    }
+    
+    function succeeded(
+        uint256 _forVotes,
+        uint256 _againstVotes,
+        uint256 /* _abstainVotes */
+    ) external view returns (bool) {
+        uint256 decisive = _forVotes + _againstVotes;
+        return decisive > 0 && _forVotes * 10000 >= decisive * thresholdBasisPoints;
+    }
+}
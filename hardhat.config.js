@@ -3,6 +3,7 @@ require("@nomicfoundation/hardhat-verify");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
+require("./tasks/governance");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000000";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
@@ -18,6 +19,8 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // The IR pipeline keeps QuorumGovernance under the 24KB (EIP-170) contract size limit
+      viaIR: true,
     },
   },
   networks: {
@@ -0,0 +1,198 @@
+const { Interface } = require("ethers");
+
+/**
+ * Follows a QuorumGovernance contract's events into a JsonStore
+ *
+ * Each sync first checks that the checkpoint block is still on the chain. If it is not,
+ * the indexer walks back through the recent block hashes it kept to the newest block the
+ * chain still agrees with, drops everything indexed after it and re-indexes from there;
+ * a fork deeper than the kept window triggers a full re-index. New blocks are then read
+ * in batches, each saved with its checkpoint so an interrupted run resumes where it stopped.
+ */
+class GovernanceIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider Chain to index
+   * @param {string} options.address Governance contract address
+   * @param {Array|string} options.abi Governance contract ABI
+   * @param {import("./store").JsonStore} options.store Database
+   * @param {number} [options.fromBlock] First block to index (e.g. the deployment block)
+   * @param {number} [options.confirmations] Blocks to stay behind the head
+   * @param {number} [options.batchSize] Blocks per getLogs request
+   * @param {number} [options.reorgWindow] Recent blocks whose hashes are kept for reorg detection
+   * @param {(message: string) => void} [options.log] Progress output
+   */
+  constructor({
+    provider,
+    address,
+    abi,
+    store,
+    fromBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    reorgWindow = 128,
+    log = () => {},
+  }) {
+    this.provider = provider;
+    this.address = address;
+    this.interface = new Interface(abi);
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgWindow = reorgWindow;
+    this.log = log;
+    this._timer = null;
+  }
+
+  /**
+   * Index everything up to the current head (less confirmations)
+   * @returns {Promise<{reorgedFrom: number|null, toBlock: number|null, events: number}>}
+   *          Where a reorg was rolled back from, the new checkpoint and the events added
+   */
+  async sync() {
+    const { chainId } = await this.provider.getNetwork();
+    this.store.bind(Number(chainId), this.address);
+
+    const reorgedFrom = await this._handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const checkpoint = this.store.checkpoint;
+    let next = checkpoint ? checkpoint.number + 1 : this.fromBlock;
+
+    let added = 0;
+    while (next <= head) {
+      const to = Math.min(next + this.batchSize - 1, head);
+      const count = await this._indexRange(next, to);
+      if (count === null) {
+        // The chain moved under the batch; the next sync sorts it out
+        break;
+      }
+      added += count;
+      next = to + 1;
+    }
+
+    return { reorgedFrom, toBlock: this.store.checkpoint ? this.store.checkpoint.number : null, events: added };
+  }
+
+  /**
+   * Sync now and then every `intervalMs` until stop() is called
+   */
+  start(intervalMs = 2000) {
+    const tick = async () => {
+      try {
+        const { reorgedFrom, toBlock, events } = await this.sync();
+        if (events > 0 || reorgedFrom !== null) {
+          this.log(`Indexed to block ${toBlock} (+${events} events)`);
+        }
+      } catch (error) {
+        this.log(`Sync failed: ${error.message}`);
+      }
+      if (this._timer !== null) {
+        this._timer = setTimeout(tick, intervalMs);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Roll back to the newest kept block still on the chain if the checkpoint was reorged out
+   * @returns {Promise<number|null>} The old checkpoint if a reorg was handled
+   */
+  async _handleReorg() {
+    const checkpoint = this.store.checkpoint;
+    if (!checkpoint) {
+      return null;
+    }
+    const onChain = await this.provider.getBlock(checkpoint.number);
+    if (onChain && onChain.hash === checkpoint.hash) {
+      return null;
+    }
+
+    const blocks = this.store.blocks;
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(blocks[i].number);
+      if (block && block.hash === blocks[i].hash) {
+        this.log(`Reorg detected: rolling back from block ${checkpoint.number} to ${block.number}`);
+        this.store.rollback(block.number);
+        this.store.save();
+        return checkpoint.number;
+      }
+    }
+
+    this.log(`Reorg deeper than ${this.reorgWindow} blocks below ${checkpoint.number}: re-indexing`);
+    this.store.reset();
+    this.store.save();
+    return checkpoint.number;
+  }
+
+  /**
+   * Index the events of blocks `from`..`to` and move the checkpoint to `to`
+   * @returns {Promise<number|null>} Events added, or null if a block changed while reading
+   */
+  async _indexRange(from, to) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+
+    const blocks = new Map();
+    for (const number of new Set([...logs.map((log) => log.blockNumber), to])) {
+      const block = await this.provider.getBlock(number);
+      if (!block) {
+        return null;
+      }
+      blocks.set(number, block);
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber);
+      if (block.hash !== log.blockHash) {
+        return null;
+      }
+      const parsed = this.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      events.push({
+        event: parsed.name,
+        args: toPlain(parsed.fragment.inputs, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: block.timestamp,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+      });
+    }
+
+    const kept = [...blocks.values()]
+      .sort((a, b) => a.number - b.number)
+      .map((block) => ({ number: block.number, hash: block.hash }));
+    const last = blocks.get(to);
+    this.store.append(events, kept, { number: to, hash: last.hash }, to - this.reorgWindow);
+    this.store.save();
+    return events.length;
+  }
+}
+
+/**
+ * Convert decoded event arguments to JSON-safe values keyed by parameter name
+ * (integers become decimal strings)
+ */
+function toPlain(inputs, values) {
+  return Object.fromEntries(inputs.map((input, i) => [input.name, toPlainValue(values[i])]));
+}
+
+function toPlainValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, toPlainValue);
+  }
+  return value;
+}
+
+module.exports = { GovernanceIndexer };
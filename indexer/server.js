@@ -0,0 +1,126 @@
+const http = require("http");
+const { buildViews } = require("./views");
+
+/**
+ * HTTP/JSON API over an indexer database
+ *
+ *   GET /status                   Chain, contract, checkpoint and event count
+ *   GET /proposals                All proposals
+ *   GET /proposals/:id            One proposal with its votes
+ *   GET /proposals/:id/votes      Votes on a proposal
+ *   GET /votes?voter=&proposalId= Votes, optionally filtered
+ *   GET /agents                   All agents
+ *   GET /agents/:address          One agent with its votes
+ *   GET /parameters?event=        Parameter, role and ownership changes, optionally of one event
+ *   GET /events?event=&fromBlock= Raw indexed events
+ */
+
+/**
+ * Create the API server (call listen() on the result)
+ *
+ * Malformed request paths get a 400 and failing handlers a 500, so a bad request never
+ * takes the process down.
+ * @param {import("./store").JsonStore} store Database the indexer writes to
+ * @param {object} [options]
+ * @param {(message: string) => void} [options.log] Output for handler failures
+ * @returns {http.Server}
+ */
+function createServer(store, { log = () => {} } = {}) {
+  let cached = null;
+  const views = () => {
+    if (!cached || cached.revision !== store.revision) {
+      cached = { revision: store.revision, ...buildViews(store.events) };
+    }
+    return cached;
+  };
+
+  const routes = [
+    ["/status", () => ({
+      chainId: store.state.chainId,
+      address: store.state.address,
+      checkpoint: store.checkpoint,
+      events: store.events.length,
+    })],
+    ["/proposals", () => [...views().proposals.values()]],
+    ["/proposals/:id", ({ id }) => {
+      const { proposals, votes } = views();
+      const proposal = proposals.get(id);
+      return proposal && { ...proposal, votes: votes.filter((vote) => vote.proposalId === id) };
+    }],
+    ["/proposals/:id/votes", ({ id }) => {
+      const { proposals, votes } = views();
+      return proposals.has(id) ? votes.filter((vote) => vote.proposalId === id) : undefined;
+    }],
+    ["/votes", (params, query) => views().votes.filter(
+      (vote) =>
+        (!query.has("voter") || sameAddress(vote.voter, query.get("voter"))) &&
+        (!query.has("proposalId") || vote.proposalId === query.get("proposalId"))
+    )],
+    ["/agents", () => [...views().agents.values()]],
+    ["/agents/:address", ({ address }) => {
+      const { agents, votes } = views();
+      const agent = [...agents.values()].find((entry) => sameAddress(entry.address, address));
+      return agent && { ...agent, votes: votes.filter((vote) => vote.voter === agent.address) };
+    }],
+    ["/parameters", (params, query) => views().parameters.filter(
+      (change) => !query.has("event") || change.event === query.get("event")
+    )],
+    ["/events", (params, query) => store.events.filter(
+      (event) =>
+        (!query.has("event") || event.event === query.get("event")) &&
+        (!query.has("fromBlock") || event.blockNumber >= Number(query.get("fromBlock")))
+    )],
+  ].map(([pattern, handler]) => [compileRoute(pattern), handler]);
+
+  return http.createServer((req, res) => {
+    if (req.method !== "GET") {
+      return send(res, 405, { error: "Only GET is supported" });
+    }
+    try {
+      const url = new URL(req.url, "http://localhost");
+      for (const [route, handler] of routes) {
+        const params = route(url.pathname);
+        if (params) {
+          const body = handler(params, url.searchParams);
+          return body === undefined ? send(res, 404, { error: "Not found" }) : send(res, 200, body);
+        }
+      }
+      send(res, 404, { error: "Not found" });
+    } catch (error) {
+      // decodeURIComponent throws URIError on malformed percent-encoding, e.g. /proposals/%E0%A4%A
+      if (error instanceof URIError || error.code === "ERR_INVALID_URL") {
+        return send(res, 400, { error: "Malformed URL" });
+      }
+      log(`${req.url} failed: ${error.message}`);
+      send(res, 500, { error: "Internal error" });
+    }
+  });
+}
+
+/**
+ * Turn "/proposals/:id" into a matcher returning { id } or null
+ */
+function compileRoute(pattern) {
+  const names = [];
+  const regex = new RegExp(
+    `^${pattern.replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return "([^/]+)";
+    })}/?$`
+  );
+  return (pathname) => {
+    const match = regex.exec(pathname);
+    return match && Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+  };
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { createServer };
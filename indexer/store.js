@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Embedded JSON-file database for the governance indexer
+ *
+ * Holds the indexed events, the checkpoint (last fully indexed block and its hash) and
+ * the hashes of recent blocks the indexer needs to find where a reorg forked off. The
+ * whole state is rewritten atomically (write to a temp file, then rename) after every
+ * indexed batch, so a crash leaves the last complete checkpoint to resume from.
+ */
+
+const STORE_VERSION = 1;
+
+function emptyState() {
+  return {
+    version: STORE_VERSION,
+    chainId: null,
+    address: null,
+    checkpoint: null, // { number, hash }
+    blocks: [], // [{ number, hash }], ascending
+    events: [], // ascending by (blockNumber, logIndex)
+  };
+}
+
+class JsonStore {
+  /**
+   * @param {string|null} file Database file; null keeps everything in memory
+   */
+  constructor(file) {
+    this.file = file;
+    this.state = emptyState();
+    // Bumped on every change so readers can cache derived views
+    this.revision = 0;
+
+    if (file && fs.existsSync(file)) {
+      this.state = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (this.state.version !== STORE_VERSION) {
+        throw new Error(`${file} was written by an incompatible indexer version`);
+      }
+    }
+  }
+
+  get checkpoint() {
+    return this.state.checkpoint;
+  }
+
+  get blocks() {
+    return this.state.blocks;
+  }
+
+  get events() {
+    return this.state.events;
+  }
+
+  /**
+   * Bind the store to a chain and contract, refusing a database indexed from another
+   */
+  bind(chainId, address) {
+    const { state } = this;
+    if (state.chainId !== null && (state.chainId !== chainId || state.address !== address)) {
+      throw new Error(
+        `Database holds ${state.address} on chain ${state.chainId}, not ${address} on chain ${chainId}`
+      );
+    }
+    state.chainId = chainId;
+    state.address = address;
+  }
+
+  /**
+   * Add an indexed range: its events, the hashes of its blocks and the new checkpoint
+   * @param {object[]} events Events in the range, ascending
+   * @param {object[]} blocks { number, hash } of blocks in the range, ascending
+   * @param {{number: number, hash: string}} checkpoint Last block of the range
+   * @param {number} keepAfter Block hashes at or below this number are pruned
+   */
+  append(events, blocks, checkpoint, keepAfter) {
+    const { state } = this;
+    state.events.push(...events);
+    state.blocks = state.blocks
+      .concat(blocks)
+      .filter((block) => block.number > keepAfter || block.number === checkpoint.number);
+    state.checkpoint = checkpoint;
+    this.revision++;
+  }
+
+  /**
+   * Drop everything indexed after `blockNumber` and resume from there
+   */
+  rollback(blockNumber) {
+    const { state } = this;
+    state.events = state.events.filter((event) => event.blockNumber <= blockNumber);
+    state.blocks = state.blocks.filter((block) => block.number <= blockNumber);
+    state.checkpoint = state.blocks.find((block) => block.number === blockNumber) || null;
+    this.revision++;
+  }
+
+  /**
+   * Forget all indexed data, keeping the chain and contract binding
+   */
+  reset() {
+    const { chainId, address } = this.state;
+    this.state = { ...emptyState(), chainId, address };
+    this.revision++;
+  }
+
+  /**
+   * Persist the state, atomically replacing the previous file
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.state));
+    fs.renameSync(temp, this.file);
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,196 @@
+/**
+ * Read models built from the indexed QuorumGovernance events
+ *
+ * Everything is derived by replaying the event log, so a reorg rollback in the store
+ * is reflected the next time the views are built. Numbers stay decimal strings, as
+ * the events are stored. `verified` follows AgentVerified/VerificationRevoked only;
+ * a verification TTL lapsing emits nothing, so check isVerificationValid on-chain.
+ */
+
+const VOTE_CHOICES = ["Against", "For", "Abstain"];
+
+// Tallies hold the raw voting power behind each choice, as VoteCast reports it; with a
+// counting strategy set, the on-chain forVotes/againstVotes/abstainVotes are weighted
+const TALLY_KEYS = ["againstPower", "forPower", "abstainPower"];
+
+// Events that change how governance is configured or controlled
+const PARAMETER_EVENTS = new Set([
+  "QuorumUpdated",
+  "VotingPeriodUpdated",
+  "VotingDelayUpdated",
+  "TimelockDelayUpdated",
+  "ProposalThresholdUpdated",
+  "MaxActiveProposalsUpdated",
+  "ProposalCooldownUpdated",
+  "CountingStrategyUpdated",
+  "CategoryRegistrySet",
+  "EarlyFinalizationUpdated",
+  "VoteChangesAllowedUpdated",
+  "VerificationTtlUpdated",
+  "GuardianUpdated",
+  "Paused",
+  "Unpaused",
+  "OwnershipTransferStarted",
+  "OwnershipTransferCanceled",
+  "OwnershipTransferred",
+  "RoleGranted",
+  "RoleRevoked",
+  "SelfGovernanceEnabled",
+]);
+
+// Where an event happened, attached to every record derived from it
+function origin(event) {
+  return {
+    blockNumber: event.blockNumber,
+    timestamp: event.timestamp,
+    transactionHash: event.transactionHash,
+  };
+}
+
+function addTo(tally, key, amount) {
+  tally[key] = (BigInt(tally[key]) + BigInt(amount)).toString();
+}
+
+/**
+ * Replay events into proposals, votes, agents and parameter history
+ * @param {object[]} events Indexed events, ascending
+ * @returns {{proposals: Map<string, object>, votes: object[], agents: Map<string, object>, parameters: object[]}}
+ *          Proposals by ID, votes in casting order (changed votes updated in place),
+ *          agents by address and parameter changes in order
+ */
+function buildViews(events) {
+  const proposals = new Map();
+  const votes = [];
+  const votesByKey = new Map();
+  const agents = new Map();
+  const parameters = [];
+
+  for (const event of events) {
+    const { args } = event;
+    const proposal = args.proposalId !== undefined ? proposals.get(args.proposalId) : undefined;
+    const agent = args.agent !== undefined ? agents.get(args.agent) : undefined;
+
+    switch (event.event) {
+      case "ProposalCreated":
+        proposals.set(args.proposalId, {
+          id: args.proposalId,
+          proposer: args.proposer,
+          description: args.description,
+          startBlock: args.startBlock,
+          endBlock: args.endBlock,
+          status: "Created",
+          forPower: "0",
+          againstPower: "0",
+          abstainPower: "0",
+          voterCount: 0,
+          eta: null,
+          created: origin(event),
+        });
+        break;
+
+      case "VoteCast": {
+        const vote = {
+          proposalId: args.proposalId,
+          voter: args.voter,
+          choice: VOTE_CHOICES[Number(args.choice)],
+          votingPower: args.votingPower,
+          reason: null,
+          changed: false,
+          ...origin(event),
+        };
+        votes.push(vote);
+        votesByKey.set(`${args.proposalId}:${args.voter}`, vote);
+        if (proposal) {
+          addTo(proposal, TALLY_KEYS[Number(args.choice)], args.votingPower);
+          proposal.voterCount++;
+        }
+        break;
+      }
+
+      case "VoteCastWithReason": {
+        const vote = votesByKey.get(`${args.proposalId}:${args.voter}`);
+        if (vote) {
+          vote.reason = args.reason;
+        }
+        break;
+      }
+
+      case "VoteChanged": {
+        const vote = votesByKey.get(`${args.proposalId}:${args.voter}`);
+        if (vote) {
+          vote.choice = VOTE_CHOICES[Number(args.newChoice)];
+          vote.changed = true;
+          Object.assign(vote, origin(event));
+        }
+        if (proposal) {
+          addTo(proposal, TALLY_KEYS[Number(args.oldChoice)], -BigInt(args.votingPower));
+          addTo(proposal, TALLY_KEYS[Number(args.newChoice)], args.votingPower);
+        }
+        break;
+      }
+
+      case "ProposalQueued":
+        if (proposal) {
+          proposal.status = "Queued";
+          proposal.eta = args.eta;
+        }
+        break;
+
+      case "ProposalExecuted":
+      case "ProposalCanceled":
+      case "ProposalVetoed":
+        if (proposal) {
+          proposal.status = event.event.slice("Proposal".length);
+        }
+        break;
+
+      case "AgentRegistered":
+        agents.set(args.agent, {
+          address: args.agent,
+          votingPower: args.votingPower,
+          metadata: args.metadata,
+          active: true,
+          verified: false,
+          verifiedBy: null,
+          registered: origin(event),
+        });
+        break;
+
+      case "AgentVerified":
+        if (agent) {
+          agent.verified = true;
+          agent.verifiedBy = args.verifier;
+        }
+        break;
+
+      case "VerificationRevoked":
+        if (agent) {
+          agent.verified = false;
+          agent.verifiedBy = null;
+        }
+        break;
+
+      case "AgentDeactivated":
+      case "AgentReactivated":
+        if (agent) {
+          agent.active = event.event === "AgentReactivated";
+        }
+        break;
+
+      case "VotingPowerUpdated":
+        if (agent) {
+          agent.votingPower = args.newPower;
+        }
+        break;
+
+      default:
+        if (PARAMETER_EVENTS.has(event.event)) {
+          parameters.push({ event: event.event, args, ...origin(event) });
+        }
+    }
+  }
+
+  return { proposals, votes, agents, parameters };
+}
+
+module.exports = { buildViews, PARAMETER_EVENTS };
@@ -1,7 +1,8 @@
 /**
  * Agent Configuration for QuorumGovernance
  * 
- * Copy this file to agents.config.js and customize for your deployment
+ * Copy this file to agents.config.js and customize for your deployment.
+ * setup-agents.js syncs the on-chain roster to this list on every run.
  */
 
 module.exports = {
@@ -10,26 +11,31 @@ module.exports = {
       // Agent wallet address
       address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
       
-      // Voting power (weight) for this agent
+      // Voting power (weight) for this agent; changing it updates the on-chain weight
       votingPower: 100,
       
-      // Metadata (IPFS hash, identifier, or description)
+      // Metadata (IPFS hash, identifier, or description), set at registration
       metadata: "ipfs://QmAgentProfile1",
       
-      // Auto-verify after registration (default: true)
-      autoVerify: true
+      // Keep the agent verified; false revokes its verification (default: true)
+      verified: true,
+      
+      // Keep the agent active; false deactivates it (default: true)
+      active: true
     },
     {
       address: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
       votingPower: 150,
       metadata: "ipfs://QmAgentProfile2",
-      autoVerify: true
+      verified: true,
+      active: true
     },
     {
       address: "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
       votingPower: 50,
       metadata: "ipfs://QmAgentProfile3",
-      autoVerify: true
+      verified: true,
+      active: true
     }
   ]
 };
@@ -0,0 +1,413 @@
+const { Interface, formatEther, getAddress, id, isAddress, MaxUint256 } = require("ethers");
+
+/**
+ * Proposal calldata decoder for QuorumGovernance
+ *
+ * Renders each proposal action as `Contract.function(arg=value, ...)` using a registry
+ * of known ABIs, and flags what voters should look at twice: unknown contracts or
+ * selectors, ownership and role changes, disabled safeguards (quorum or timelock set
+ * to 0, unrestricted categories, allowed calls), agent registrations and voting power
+ * changes (majorities included), deactivations, verification revocations and TTL
+ * changes, pauses and ETH transfers.
+ *
+ * As a module:
+ *   const { loadRegistry, decodeProposal } = require("./decoder");
+ *   const registry = await loadRegistry(hre, governanceAddress);
+ *   const actions = await decodeProposal(registry, governance, proposalId);
+ *
+ * As a script (prints every action of a proposal):
+ *   PROPOSAL_ID=1 npx hardhat run scripts/decoder.js --network <network-name>
+ */
+
+// Contracts whose ABIs are always in the registry. Only QuorumGovernance has a known address
+// (the one proposals belong to); the deploy manifest records nothing else, so the others
+// only recognize selectors on unknown targets until an `extra` entry gives their address.
+const KNOWN_ARTIFACTS = [
+  "QuorumGovernance",
+  "ProposalCategoryRegistry",
+  "AgentAttestationVerifier",
+  "AgentApplications",
+  "QuorumGovernanceLens",
+];
+
+// Common token calls proposals make from the treasury
+const ERC20_ABI = [
+  "function transfer(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+  "function transferFrom(address from, address to, uint256 amount)",
+];
+
+const ROLE_NAMES = new Map(
+  ["REGISTRAR_ROLE", "VERIFIER_ROLE", "PARAMETER_ADMIN_ROLE", "CANCELLER_ROLE"].map((role) => [id(role), role])
+);
+
+// ============ Registry ============
+
+/**
+ * Build a registry of known ABIs
+ * @param {Array<{name: string, abi: Array|string[], address?: string}>} entries Contracts by
+ *        name; entries with an address identify calls to that address, all entries are
+ *        used to recognize selectors called on unknown targets
+ * @returns {{byAddress: Map<string, object>, bySelector: Map<string, object[]>}}
+ */
+function buildRegistry(entries) {
+  const byAddress = new Map();
+  const bySelector = new Map();
+
+  for (const entry of entries) {
+    const contract = { name: entry.name, interface: new Interface(entry.abi) };
+    if (entry.address) {
+      byAddress.set(getAddress(entry.address), contract);
+    }
+    contract.interface.forEachFunction((fragment) => {
+      const known = bySelector.get(fragment.selector) || [];
+      if (!known.some((match) => match.name === contract.name)) {
+        bySelector.set(fragment.selector, [...known, contract]);
+      }
+    });
+  }
+
+  return { byAddress, bySelector };
+}
+
+/**
+ * Build the registry for a governance contract: its own ABI for self-calls, this repo's
+ * other contracts and ERC-20 calls by selector, and any `extra` entries (e.g. from
+ * `gov:status --abis`) to name contracts at their addresses
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} governanceAddress Governance contract the proposals belong to
+ * @param {Array<{name: string, abi?: Array, artifact?: string, address?: string}>} [extra]
+ *        More contracts, by ABI or by Hardhat artifact name
+ */
+async function loadRegistry(hre, governanceAddress, extra = []) {
+  const entries = [];
+  for (const name of KNOWN_ARTIFACTS) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    entries.push({ name, abi, address: name === "QuorumGovernance" ? governanceAddress : undefined });
+  }
+  entries.push({ name: "ERC20", abi: ERC20_ABI });
+
+  for (const entry of extra) {
+    const abi = entry.abi || (await hre.artifacts.readArtifact(entry.artifact)).abi;
+    entries.push({ name: entry.name || entry.artifact, abi, address: entry.address });
+  }
+
+  // Later entries win an address, so `extra` can also rename the governance contract
+  return buildRegistry(entries);
+}
+
+// ============ Decoding ============
+
+/**
+ * Decode one proposal action
+ * @param {object} registry Result of buildRegistry / loadRegistry
+ * @param {{target: string, value: bigint, data: string}} action Proposal action
+ * @returns {object} { target, contract, value, selector, function, args: [{ name, type, value }],
+ *          rendered, flags: [{ severity: "danger"|"warning", message }] }
+ */
+function decodeAction(registry, { target, value = 0n, data }) {
+  const targetAddress = getAddress(target);
+  const contract = registry.byAddress.get(targetAddress) || null;
+  const label = contract ? contract.name : targetAddress;
+  const flags = [];
+  const decoded = {
+    target: targetAddress,
+    contract: contract && contract.name,
+    value: BigInt(value),
+    selector: null,
+    function: null,
+    args: [],
+    rendered: null,
+    flags,
+  };
+  const withValue = decoded.value > 0n ? `{value: ${formatEther(decoded.value)} ETH}` : "";
+
+  if (decoded.value > 0n) {
+    flags.push({ severity: "warning", message: `Sends ${formatEther(decoded.value)} ETH to ${label}` });
+  }
+
+  if (data === "0x" || data === "") {
+    decoded.rendered = decoded.value > 0n ? `${label}.transfer${withValue}()` : `${label}.call()`;
+    return decoded;
+  }
+
+  decoded.selector = data.slice(0, 10);
+  if (!contract) {
+    flags.push({ severity: "warning", message: `Unknown target contract ${targetAddress}` });
+  }
+
+  // The target's own ABI, or any registered ABI with the selector for unknown targets
+  const candidates = contract ? [contract] : registry.bySelector.get(decoded.selector) || [];
+  let parsed = null;
+  for (const candidate of candidates) {
+    try {
+      parsed = candidate.interface.parseTransaction({ data, value: decoded.value });
+    } catch (error) {
+      parsed = null;
+    }
+    if (parsed) {
+      if (!contract) {
+        flags.push({ severity: "warning", message: `Decoded with the ${candidate.name} ABI` });
+      }
+      break;
+    }
+  }
+
+  if (!parsed) {
+    flags.push({
+      severity: "danger",
+      message: contract
+        ? `Unknown selector ${decoded.selector} for ${contract.name}`
+        : `Unknown selector ${decoded.selector}`,
+    });
+    decoded.rendered = `${label}.<unknown ${decoded.selector}>${withValue}(${data})`;
+    return decoded;
+  }
+
+  decoded.function = parsed.fragment.format();
+  decoded.args = parsed.fragment.inputs.map((input, i) => ({
+    name: input.name.replace(/^_/, "") || `arg${i}`,
+    type: input.type,
+    value: parsed.args[i],
+  }));
+  const rendered = decoded.args
+    .map((arg, i) => `${arg.name}=${formatValue(registry, parsed.fragment.inputs[i], arg.value)}`)
+    .join(", ");
+  decoded.rendered = `${label}.${parsed.name}${withValue}(${rendered})`;
+
+  flags.push(...riskFlags(registry, parsed.name, decoded.args, contract));
+  return decoded;
+}
+
+/**
+ * Read and decode every action of a proposal
+ * @param {object} registry Result of buildRegistry / loadRegistry
+ * @param {import("ethers").Contract} governance Governance contract
+ * @param {bigint|number} proposalId ID of the proposal
+ */
+async function decodeProposal(registry, governance, proposalId) {
+  const [targets, values, calldatas] = await governance.getActions(proposalId);
+  const actions = targets.map((target, i) => decodeAction(registry, { target, value: values[i], data: calldatas[i] }));
+  return flagMajorities(governance, actions);
+}
+
+/**
+ * Flag registerAgent and updateVotingPower calls that leave one agent with more than half
+ * of the total voting power, applying the actions in order to the current totals
+ * @param {import("ethers").Contract} governance Governance contract
+ * @param {object[]} actions Results of decodeAction, in proposal order; flags are added in place
+ * @returns {Promise<object[]>} The same actions
+ */
+async function flagMajorities(governance, actions) {
+  const governanceAddress = getAddress(await governance.getAddress());
+  const powers = new Map();
+  let total = null;
+
+  for (const action of actions) {
+    const name = action.function && action.function.slice(0, action.function.indexOf("("));
+    if (action.target !== governanceAddress || (name !== "registerAgent" && name !== "updateVotingPower")) {
+      continue;
+    }
+    const [agentArg, powerArg] = action.args;
+    const agent = getAddress(agentArg.value);
+    if (total === null) {
+      total = await governance.totalVotingPower();
+    }
+    if (!powers.has(agent)) {
+      powers.set(agent, name === "registerAgent" ? 0n : (await governance.getAgent(agent)).votingPower);
+    }
+    total += powerArg.value - powers.get(agent);
+    powers.set(agent, powerArg.value);
+
+    if (powerArg.value * 2n > total) {
+      action.flags.push({
+        severity: "danger",
+        message: `Leaves ${agent} with a majority of the voting power (${powerArg.value} of ${total})`,
+      });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Flag calls that change who controls governance or weaken its safeguards
+ */
+function riskFlags(registry, name, args, contract) {
+  const arg = (argName) => args.find((entry) => entry.name === argName)?.value;
+  const danger = (message) => ({ severity: "danger", message });
+  const warning = (message) => ({ severity: "warning", message });
+  const isGovernance = contract && contract.name === "QuorumGovernance";
+
+  switch (name) {
+    case "transferOwnership":
+      return [danger(`Transfers ownership to ${formatAddress(registry, arg("newOwner"))}`)];
+    case "acceptOwnership":
+      return [danger("Accepts a pending ownership transfer")];
+    case "renounceOwnership":
+      return [danger("Renounces ownership permanently")];
+    case "grantRole":
+      return [danger(`Grants ${formatRole(arg("role"))} to ${formatAddress(registry, arg("account"))}`)];
+    case "revokeRole":
+      return [warning(`Revokes ${formatRole(arg("role"))} from ${formatAddress(registry, arg("account"))}`)];
+    case "enableSelfGovernance":
+      return [danger("Irreversibly hands every privileged function to proposals")];
+    case "setGuardian":
+      return arg("newGuardian") === "0x0000000000000000000000000000000000000000"
+        ? [danger("Removes the guardian, disabling veto and emergency pause")]
+        : [danger(`Makes ${formatAddress(registry, arg("newGuardian"))} the guardian`)];
+    case "updateQuorum":
+      return arg("newQuorumBasisPoints") === 0n
+        ? [danger("Sets quorum to 0: proposals can pass with no turnout")]
+        : [];
+    case "updateTimelockDelay":
+      return arg("newTimelockDelay") === 0n ? [danger("Removes the timelock between queueing and execution")] : [];
+    case "registerAgent":
+      return isGovernance
+        ? [warning(`Registers ${formatAddress(registry, arg("agent"))} with ${arg("votingPower")} voting power`)]
+        : [];
+    case "updateVotingPower":
+      return isGovernance
+        ? [warning(`Sets the voting power of ${formatAddress(registry, arg("agent"))} to ${arg("newVotingPower")}`)]
+        : [];
+    case "deactivateAgent":
+      return isGovernance
+        ? [warning(`Deactivates ${formatAddress(registry, arg("agent"))}; power delegated to it goes back`)]
+        : [];
+    case "revokeVerification":
+      return isGovernance
+        ? [warning(`Revokes the verification of ${formatAddress(registry, arg("agent"))}; power delegated to it goes back`)]
+        : [];
+    case "pause":
+      return isGovernance ? [danger("Halts proposing, voting and execution")] : [];
+    case "unpause":
+      return isGovernance ? [warning("Lifts the emergency pause")] : [];
+    case "updateCountingStrategy":
+      return isGovernance ? [warning("Changes how votes are counted")] : [];
+    case "updateVerificationTtl":
+      return arg("newTtl") === 0n
+        ? [warning("Verifications no longer expire")]
+        : [warning(`Verifications expire ${arg("newTtl")} seconds after they are granted, existing ones included`)];
+    case "setAttestationVerifier":
+      return arg("verifier") === "0x0000000000000000000000000000000000000000"
+        ? [warning("Removes the attestation verifier")]
+        : [danger(`Lets ${formatAddress(registry, arg("verifier"))} verify agents, even once self-governed`)];
+    case "setCategoryRegistry":
+      return [danger(`Connects ${formatAddress(registry, arg("registry"))} to set category quorums, periods and allowed calls`)];
+    case "createCategory":
+    case "updateCategory": {
+      const category = name === "createCategory" ? `New category "${arg("name")}"` : `Category ${arg("categoryId")}`;
+      const flags = [];
+      if (arg("quorumBasisPoints") === 0n) {
+        flags.push(danger(`${category} gets quorum 0: its proposals can pass with no turnout`));
+      }
+      if (arg("restrictActions") === false) {
+        flags.push(
+          name === "createCategory"
+            ? warning(`${category} may call any target no category reserves`)
+            : danger(`${category} loses any call restrictions it has`)
+        );
+      }
+      return flags;
+    }
+    case "setActionAllowed": {
+      const call = `${formatSelector(registry, arg("target"), arg("selector"))} on ${formatAddress(registry, arg("target"))}`;
+      return arg("allowed")
+        ? [warning(`Lets category ${arg("categoryId")} call ${call}, reserving the target from unrestricted categories`)]
+        : [warning(`Stops category ${arg("categoryId")} calling ${call}`)];
+    }
+    case "approve":
+      return arg("amount") === MaxUint256
+        ? [warning(`Unlimited token approval for ${formatAddress(registry, arg("spender"))}`)]
+        : [];
+    default:
+      return [];
+  }
+}
+
+// ============ Formatting ============
+
+function formatAddress(registry, address) {
+  const contract = registry.byAddress.get(getAddress(address));
+  return contract ? `${address} (${contract.name})` : address;
+}
+
+function formatSelector(registry, target, selector) {
+  const contract = registry.byAddress.get(getAddress(target));
+  const candidates = contract ? [contract] : registry.bySelector.get(selector) || [];
+  for (const candidate of candidates) {
+    const fragment = candidate.interface.getFunction(selector);
+    if (fragment) {
+      return fragment.format();
+    }
+  }
+  return selector;
+}
+
+function formatRole(role) {
+  return ROLE_NAMES.get(role) || role;
+}
+
+/**
+ * Render an argument value for the one-line description
+ */
+function formatValue(registry, param, value) {
+  if (param.baseType === "array") {
+    return `[${Array.from(value, (item) => formatValue(registry, param.arrayChildren, item)).join(", ")}]`;
+  }
+  if (param.baseType === "tuple") {
+    return `(${param.components.map((component, i) => formatValue(registry, component, value[i])).join(", ")})`;
+  }
+  if (param.type === "address" && isAddress(value)) {
+    return formatAddress(registry, value);
+  }
+  if (param.type === "bytes32" && ROLE_NAMES.has(value)) {
+    return ROLE_NAMES.get(value);
+  }
+  if (param.type === "string") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { resolveAddress } = require("./deployments");
+
+  if (process.env.PROPOSAL_ID === undefined) {
+    throw new Error("PROPOSAL_ID environment variable must be set");
+  }
+
+  const address = await resolveAddress(hre);
+  const governance = await hre.ethers.getContractAt("QuorumGovernance", address);
+  const registry = await loadRegistry(hre, address);
+
+  const actions = await decodeProposal(registry, governance, process.env.PROPOSAL_ID);
+  if (actions.length === 0) {
+    console.log("No actions (signaling proposal)");
+  }
+  actions.forEach((action, i) => {
+    console.log(`${i + 1}. ${action.rendered}`);
+    for (const flag of action.flags) {
+      console.log(`   ${flag.severity === "danger" ? "⚠" : "•"} ${flag.message}`);
+    }
+  });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ERC20_ABI,
+  buildRegistry,
+  loadRegistry,
+  decodeAction,
+  decodeProposal,
+  flagMajorities,
+  main,
+};
@@ -1,21 +1,94 @@
 const hre = require("hardhat");
+const { getArtifactHash, recordDeployment, readManifest, findDeployment, getManifestPath } = require("./deployments");
 
 /**
  * @title QuorumGovernance Deployment Script
  * @notice Deploys the QuorumGovernance contract with configurable parameters
+ * @dev Records the deployment in deployments/<network>.json. Re-running against a network whose
+ *      recorded deployment has the same bytecode and parameters reuses it; set FORCE_DEPLOY=true
+ *      to deploy a fresh contract anyway.
  */
 
+const CONTRACT_NAME = "QuorumGovernance";
+
+/**
+ * Read and validate the deployment parameters
+ * @param {object} env Environment (QUORUM_BASIS_POINTS, VOTING_PERIOD, VOTING_DELAY)
+ * @returns {{quorumBasisPoints: number, votingPeriod: number, votingDelay: number}}
+ * @throws {Error} Listing every invalid parameter
+ */
+function validateDeployConfig(env) {
+  const problems = [];
+
+  const parse = (name, fallback, { min, max }) => {
+    const raw = env[name] === undefined || env[name] === "" ? String(fallback) : env[name].trim();
+    const value = /^[0-9]+$/.test(raw) ? Number(raw) : NaN;
+    if (!Number.isSafeInteger(value) || value < min || value > max) {
+      const range = max === Number.MAX_SAFE_INTEGER ? `an integer >= ${min}` : `an integer from ${min} to ${max}`;
+      problems.push(`${name} must be ${range}, got "${raw}"`);
+    }
+    return value;
+  };
+
+  const config = {
+    quorumBasisPoints: parse("QUORUM_BASIS_POINTS", 4000, { min: 0, max: 10000 }), // 40% default
+    votingPeriod: parse("VOTING_PERIOD", 50400, { min: 1, max: Number.MAX_SAFE_INTEGER }), // ~7 days (12s blocks)
+    votingDelay: parse("VOTING_DELAY", 7200, { min: 0, max: Number.MAX_SAFE_INTEGER }), // ~1 day
+  };
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid deployment configuration:\n- ${problems.join("\n- ")}`);
+  }
+  return config;
+}
+
+/**
+ * Deploy QuorumGovernance, or reuse the recorded deployment if it matches
+ * @param {object} config Result of validateDeployConfig
+ * @param {object} [options] { force: deploy even if a matching deployment is recorded }
+ * @returns {Promise<{governance: import("ethers").Contract, deployment: object, reused: boolean}>}
+ */
+async function deployGovernance(config, { force = false } = {}) {
+  const constructorArgs = [config.quorumBasisPoints, config.votingPeriod, config.votingDelay];
+  const artifactHash = await getArtifactHash(hre, CONTRACT_NAME);
+
+  const existing = await findDeployment(hre, CONTRACT_NAME);
+  if (
+    !force &&
+    existing &&
+    existing.artifactHash === artifactHash &&
+    JSON.stringify(existing.constructorArgs) === JSON.stringify(constructorArgs)
+  ) {
+    const governance = await hre.ethers.getContractAt(CONTRACT_NAME, existing.address);
+    return { governance, deployment: existing, reused: true };
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const QuorumGovernance = await hre.ethers.getContractFactory(CONTRACT_NAME);
+  const governance = await QuorumGovernance.deploy(...constructorArgs);
+  await governance.waitForDeployment();
+  const receipt = await governance.deploymentTransaction().wait();
+
+  const deployment = {
+    address: await governance.getAddress(),
+    constructorArgs,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployer: deployer.address,
+    artifactHash,
+  };
+  await recordDeployment(hre, CONTRACT_NAME, deployment);
+
+  return { governance, deployment, reused: false };
+}
+
 async function main() {
   console.log("\n========================================");
   console.log("  QuorumGovernance Deployment Script");
   console.log("========================================\n");
 
-  // Configuration
-  const config = {
-    quorumBasisPoints: process.env.QUORUM_BASIS_POINTS || 4000, // 40% default
-    votingPeriod: process.env.VOTING_PERIOD || 50400, // ~7 days (12s blocks)
-    votingDelay: process.env.VOTING_DELAY || 7200, // ~1 day
-  };
+  // Configuration, checked before anything is sent
+  const config = validateDeployConfig(process.env);
 
   console.log("Deployment Configuration:");
   console.log(`- Quorum: ${config.quorumBasisPoints / 100}%`);
@@ -27,31 +100,38 @@ async function main() {
   console.log(`Deploying from: ${deployer.address}`);
   console.log(`Balance: ${hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address))} ETH\n`);
 
+  const previous = readManifest(hre.network.name)?.contracts[CONTRACT_NAME];
+
   // Deploy contract
   console.log("Deploying QuorumGovernance...");
-  const QuorumGovernance = await hre.ethers.getContractFactory("QuorumGovernance");
-  const governance = await QuorumGovernance.deploy(
-    config.quorumBasisPoints,
-    config.votingPeriod,
-    config.votingDelay
-  );
-
-  await governance.waitForDeployment();
-  const address = await governance.getAddress();
+  const { governance, deployment, reused } = await deployGovernance(config, {
+    force: process.env.FORCE_DEPLOY === "true",
+  });
+  const { address } = deployment;
 
-  console.log(`✅ QuorumGovernance deployed to: ${address}\n`);
+  if (reused) {
+    console.log(`✓ Matching deployment already recorded at ${address} (block ${deployment.blockNumber}), skipping`);
+    console.log("  Set FORCE_DEPLOY=true to deploy a new contract\n");
+  } else {
+    console.log(`✅ QuorumGovernance deployed to: ${address}`);
+    if (previous && previous.address !== address) {
+      console.log(`  Replaces the recorded deployment at ${previous.address}`);
+    }
+    console.log(`  Recorded in ${getManifestPath(hre.network.name)}\n`);
+  }
 
   // Verification info
   console.log("========================================");
   console.log("  Deployment Summary");
   console.log("========================================");
   console.log(`Contract Address: ${address}`);
-  console.log(`Deployer (Owner): ${deployer.address}`);
+  console.log(`Deployer (Owner): ${deployment.deployer}`);
+  console.log(`Deployed in Block: ${deployment.blockNumber}`);
   console.log(`Network: ${hre.network.name}`);
-  console.log(`\nTo verify on Etherscan:");
-  console.log(`npx hardhat verify --network ${hre.network.name} ${address} ${config.quorumBasisPoints} ${config.votingPeriod} ${config.votingDelay}\n`);
+  console.log(`\nTo verify on Etherscan:`);
+  console.log(`npx hardhat verify --network ${hre.network.name} ${address} ${deployment.constructorArgs.join(" ")}\n`);
 
-  return { governance, address, config };
+  return { governance, address, config, reused };
 }
 
 // Execute deployment
@@ -64,4 +144,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = { main, validateDeployConfig, deployGovernance };
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { keccak256 } = require("ethers");
+
+/**
+ * Per-network deployment manifests for QuorumGovernance
+ *
+ * deploy.js records each contract it deploys in deployments/<network>.json; the other
+ * scripts look their contract addresses up there instead of taking them by hand:
+ *
+ *   {
+ *     "network": "sepolia",
+ *     "chainId": 11155111,
+ *     "contracts": {
+ *       "QuorumGovernance": {
+ *         "address": "0x...",
+ *         "constructorArgs": [4000, 50400, 7200],
+ *         "blockNumber": 123,
+ *         "transactionHash": "0x...",
+ *         "deployer": "0x...",
+ *         "artifactHash": "0x...",   // keccak256 of the creation bytecode
+ *         "deployedAt": "2024-01-01T00:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ *
+ * Set DEPLOYMENTS_DIR to keep manifests somewhere other than ./deployments.
+ */
+
+/**
+ * Path of a network's manifest file
+ * @param {string} networkName Hardhat network name
+ * @returns {string} Absolute path
+ */
+function getManifestPath(networkName) {
+  const dir = process.env.DEPLOYMENTS_DIR
+    ? path.resolve(process.env.DEPLOYMENTS_DIR)
+    : path.join(__dirname, "..", "deployments");
+  return path.join(dir, `${networkName}.json`);
+}
+
+/**
+ * Read a network's manifest
+ * @param {string} networkName Hardhat network name
+ * @returns {object|null} The manifest, or null if nothing was deployed there yet
+ */
+function readManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Write a network's manifest, creating the deployments directory if needed
+ */
+function writeManifest(networkName, manifest) {
+  const manifestPath = getManifestPath(networkName);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Hash a contract's compiled creation bytecode, to tell whether a recorded deployment
+ * was built from the current source
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Artifact name
+ * @returns {Promise<string>} keccak256 of the bytecode
+ */
+async function getArtifactHash(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return keccak256(artifact.bytecode);
+}
+
+/**
+ * Record a deployment in the current network's manifest
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Artifact name the deployment is recorded under
+ * @param {object} deployment { address, constructorArgs, blockNumber, transactionHash, deployer, artifactHash }
+ * @returns {Promise<object>} The updated manifest
+ */
+async function recordDeployment(hre, contractName, deployment) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const existing = readManifest(hre.network.name);
+
+  // A manifest from another chain under the same network name (e.g. a reset testnet) is replaced
+  const manifest =
+    existing && existing.chainId === Number(chainId)
+      ? existing
+      : { network: hre.network.name, chainId: Number(chainId), contracts: {} };
+
+  manifest.contracts[contractName] = { ...deployment, deployedAt: new Date().toISOString() };
+  writeManifest(hre.network.name, manifest);
+  return manifest;
+}
+
+/**
+ * Look up a recorded deployment that is still live on the current network
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Artifact name the deployment is recorded under
+ * @returns {Promise<object|null>} The recorded deployment, or null if none is recorded for this
+ *          chain or its address has no code (e.g. a restarted local node)
+ */
+async function findDeployment(hre, contractName) {
+  const manifest = readManifest(hre.network.name);
+  const deployment = manifest && manifest.contracts[contractName];
+  if (!deployment) {
+    return null;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (manifest.chainId !== Number(chainId)) {
+    return null;
+  }
+  const code = await hre.ethers.provider.getCode(deployment.address);
+  return code === "0x" ? null : deployment;
+}
+
+/**
+ * Resolve the address a script should talk to
+ * @dev The environment variable wins, so scripts can still target an unrecorded deployment
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [contractName] Artifact name the deployment is recorded under
+ * @param {string} [envVar] Environment variable that overrides the manifest
+ * @returns {Promise<string>} Contract address
+ */
+async function resolveAddress(hre, contractName = "QuorumGovernance", envVar = "GOVERNANCE_ADDRESS") {
+  if (process.env[envVar]) {
+    return process.env[envVar];
+  }
+
+  const deployment = await findDeployment(hre, contractName);
+  if (!deployment) {
+    throw new Error(
+      `No ${contractName} deployment recorded for ${hre.network.name}; run scripts/deploy.js or set ${envVar}`
+    );
+  }
+  return deployment.address;
+}
+
+module.exports = {
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  getArtifactHash,
+  recordDeployment,
+  findDeployment,
+  resolveAddress,
+};
@@ -0,0 +1,97 @@
+const hre = require("hardhat");
+const path = require("path");
+const { resolveAddress, findDeployment } = require("./deployments");
+const { JsonStore } = require("../indexer/store");
+const { GovernanceIndexer } = require("../indexer/indexer");
+const { createServer } = require("../indexer/server");
+
+/**
+ * QuorumGovernance event indexer
+ *
+ * Follows the governance contract's events into indexer-data/<network>.json and serves
+ * them over HTTP until interrupted. Restarting resumes from the saved checkpoint.
+ *
+ * Indexes from the deployment block in the network's manifest (or INDEXER_FROM_BLOCK).
+ * Other settings: INDEXER_DB (database file), INDEXER_PORT (default 4000),
+ * INDEXER_POLL_MS (default 2000), INDEXER_CONFIRMATIONS (default 0; raise it on public
+ * networks to index only blocks unlikely to be reorged).
+ *
+ * Usage:
+ * npx hardhat run scripts/indexer.js --network <network-name>
+ * curl localhost:4000/proposals
+ */
+
+function readIntEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  if (!/^[0-9]+$/.test(raw)) {
+    throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+  }
+  return Number(raw);
+}
+
+async function main() {
+  const address = await resolveAddress(hre);
+  const deployment = await findDeployment(hre, "QuorumGovernance");
+  const fromBlock = readIntEnv(
+    "INDEXER_FROM_BLOCK",
+    deployment && deployment.address === address ? deployment.blockNumber : 0
+  );
+  const port = readIntEnv("INDEXER_PORT", 4000);
+  const dbFile = process.env.INDEXER_DB
+    ? path.resolve(process.env.INDEXER_DB)
+    : path.join(__dirname, "..", "indexer-data", `${hre.network.name}.json`);
+
+  const { abi } = await hre.artifacts.readArtifact("QuorumGovernance");
+  const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+  const store = new JsonStore(dbFile);
+  const indexer = new GovernanceIndexer({
+    provider: hre.ethers.provider,
+    address,
+    abi,
+    store,
+    fromBlock,
+    confirmations: readIntEnv("INDEXER_CONFIRMATIONS", 0),
+    log,
+  });
+
+  console.log(`Indexing ${address} on ${hre.network.name} into ${dbFile}`);
+  console.log(store.checkpoint ? `Resuming after block ${store.checkpoint.number}` : `Starting at block ${fromBlock}`);
+
+  // Catch up before serving, so the API never starts out empty
+  const { toBlock, events } = await indexer.sync();
+  console.log(`Caught up to block ${toBlock} (${events} new events)`);
+
+  const server = createServer(store, { log });
+  await new Promise((resolve, reject) => {
+    server.once("error", (error) =>
+      reject(error.code === "EADDRINUSE" ? new Error(`Port ${port} is already in use; set INDEXER_PORT`) : error)
+    );
+    server.listen(port, resolve);
+  });
+  server.on("error", (error) => log(`API server error: ${error.message}`));
+  console.log(`API listening on http://localhost:${port}`);
+
+  indexer.start(readIntEnv("INDEXER_POLL_MS", 2000));
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  indexer.stop();
+  server.close();
+  console.log("\nStopped; progress is saved");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -1,141 +1,387 @@
 const hre = require("hardhat");
+const path = require("path");
+const { resolveAddress } = require("./deployments");
 
 /**
- * Agent setup script for QuorumGovernance
- * 
- * This script helps initialize the governance system with agents
- * 
- * Configuration via agents.config.js or environment variables
- * 
+ * Agent roster sync for QuorumGovernance
+ *
+ * Reconciles the agents listed in agents.config.js with on-chain state: registers
+ * missing agents, updates changed voting power, and verifies, revokes, deactivates
+ * or reactivates agents until they match their `verified` / `active` settings.
+ * Registered agents that are not in the config are listed but left untouched.
+ *
+ * Configuration via agents.config.js (see agents.config.example.js), or the file
+ * named by AGENTS_CONFIG. On hardhat/localhost the example roster is used when
+ * agents.config.js is missing. The governance address comes from the network's
+ * deployment manifest unless GOVERNANCE_ADDRESS is set.
+ *
  * Usage:
  * npx hardhat run scripts/setup-agents.js --network <network-name>
+ *
+ * Print the plan without sending transactions:
+ * DRY_RUN=true npx hardhat run scripts/setup-agents.js --network <network-name>
+ * HARDHAT_NETWORK=<network-name> node scripts/setup-agents.js --dry-run
+ *
+ * Exits non-zero if the config is invalid or any step fails.
  */
 
-async function main() {
-  console.log("========================================");
-  console.log("QuorumGovernance Agent Setup");
-  console.log("========================================\n");
+const AGENT_FIELDS = ["address", "votingPower", "metadata", "verified", "autoVerify", "active"];
 
-  // Load contract address from environment
-  const contractAddress = process.env.GOVERNANCE_ADDRESS;
-  if (!contractAddress) {
-    throw new Error("GOVERNANCE_ADDRESS environment variable not set");
-  }
+// Roles each action needs while the contract is not self-governed
+const ACTION_ROLES = {
+  register: "REGISTRAR_ROLE",
+  reactivate: "REGISTRAR_ROLE",
+  updateVotingPower: "REGISTRAR_ROLE",
+  verify: "VERIFIER_ROLE",
+  revokeVerification: "VERIFIER_ROLE",
+  deactivate: "REGISTRAR_ROLE",
+};
 
-  console.log("Governance Contract:", contractAddress);
-  console.log();
+/**
+ * Load the agent config for a network
+ * @param {string} networkName Hardhat network name
+ * @returns {{ config: object, source: string }} Raw config and the file it came from
+ */
+function loadConfig(networkName) {
+  const configPath = process.env.AGENTS_CONFIG
+    ? path.resolve(process.env.AGENTS_CONFIG)
+    : path.join(__dirname, "agents.config.js");
 
-  // Get signer
-  const [owner] = await hre.ethers.getSigners();
-  console.log("Setup from account:", owner.address);
-  console.log();
+  try {
+    return { config: require(configPath), source: configPath };
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND" || process.env.AGENTS_CONFIG) {
+      throw error;
+    }
+  }
 
-  // Connect to deployed contract
-  const QuorumGovernance = await hre.ethers.getContractFactory("QuorumGovernance");
-  const governance = QuorumGovernance.attach(contractAddress);
+  // Only fall back to the example roster (Hardhat's default accounts) on a local chain
+  if (networkName !== "hardhat" && networkName !== "localhost") {
+    throw new Error(`No agents.config.js found; copy agents.config.example.js for ${networkName}`);
+  }
+  const examplePath = path.join(__dirname, "agents.config.example.js");
+  return { config: require(examplePath), source: examplePath };
+}
 
-  // Verify contract ownership
-  const contractOwner = await governance.owner();
-  if (contractOwner.toLowerCase() !== owner.address.toLowerCase()) {
-    throw new Error(`Not contract owner. Owner is: ${contractOwner}`);
+/**
+ * Validate an agent config and normalize its entries
+ * @param {object} config Config module exports ({ agents: [...] })
+ * @returns {Array<{address: string, votingPower: bigint, metadata: string, verified: boolean, active: boolean}>}
+ * @throws {Error} Listing every problem found
+ */
+function validateConfig(config) {
+  if (!config || !Array.isArray(config.agents) || config.agents.length === 0) {
+    throw new Error("Invalid agent config:\n- `agents` must be a non-empty array");
   }
 
-  // Load agent configuration
-  let agents;
-  try {
-    const config = require('./agents.config.js');
-    agents = config.agents;
-  } catch (error) {
-    // Use default test agents if config not found
-    console.log("No agents.config.js found, using example configuration\n");
-    agents = [
-      {
-        address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
-        votingPower: 100,
-        metadata: "ipfs://QmExample1"
-      },
-      {
-        address: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
-        votingPower: 150,
-        metadata: "ipfs://QmExample2"
-      },
-      {
-        address: "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
-        votingPower: 50,
-        metadata: "ipfs://QmExample3"
+  const problems = [];
+  const seen = new Map();
+  const agents = config.agents.map((entry, index) => {
+    const label = `agents[${index}]`;
+    if (entry === null || typeof entry !== "object") {
+      problems.push(`${label}: must be an object`);
+      return null;
+    }
+
+    for (const key of Object.keys(entry)) {
+      if (!AGENT_FIELDS.includes(key)) {
+        problems.push(`${label}: unknown field \`${key}\``);
       }
-    ];
+    }
+
+    let address = null;
+    if (typeof entry.address !== "string" || !hre.ethers.isAddress(entry.address)) {
+      problems.push(`${label}: \`address\` must be an address`);
+    } else if (hre.ethers.getAddress(entry.address) === hre.ethers.ZeroAddress) {
+      problems.push(`${label}: \`address\` cannot be the zero address`);
+    } else {
+      address = hre.ethers.getAddress(entry.address);
+      if (seen.has(address)) {
+        problems.push(`${label}: duplicate of agents[${seen.get(address)}] (${address})`);
+      }
+      seen.set(address, index);
+    }
+
+    const votingPower = parseVotingPower(entry.votingPower);
+    if (votingPower === null) {
+      problems.push(`${label}: \`votingPower\` must be a positive integer`);
+    }
+
+    if (typeof entry.metadata !== "string" || entry.metadata.length === 0) {
+      problems.push(`${label}: \`metadata\` must be a non-empty string`);
+    }
+
+    for (const key of ["verified", "autoVerify", "active"]) {
+      if (entry[key] !== undefined && typeof entry[key] !== "boolean") {
+        problems.push(`${label}: \`${key}\` must be true or false`);
+      }
+    }
+    // autoVerify is the older name for verified
+    if (
+      entry.verified !== undefined &&
+      entry.autoVerify !== undefined &&
+      entry.verified !== entry.autoVerify
+    ) {
+      problems.push(`${label}: \`verified\` and \`autoVerify\` disagree`);
+    }
+
+    return {
+      address,
+      votingPower,
+      metadata: entry.metadata,
+      verified: entry.verified ?? entry.autoVerify ?? true,
+      active: entry.active ?? true,
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid agent config:\n- ${problems.join("\n- ")}`);
   }
+  return agents;
+}
 
-  console.log(`Setting up ${agents.length} agents...\n`);
+/**
+ * Parse a voting power given as a number, bigint or decimal string
+ * @returns {bigint|null} The voting power, or null if it is not a positive integer
+ */
+function parseVotingPower(value) {
+  if (typeof value === "number" && !Number.isSafeInteger(value)) {
+    return null;
+  }
+  if (typeof value === "string" && !/^[0-9]+$/.test(value)) {
+    return null;
+  }
+  if (!["number", "string", "bigint"].includes(typeof value)) {
+    return null;
+  }
+  const votingPower = BigInt(value);
+  return votingPower > 0n ? votingPower : null;
+}
 
-  // Register agents
-  for (let i = 0; i < agents.length; i++) {
-    const agent = agents[i];
-    console.log(`Agent ${i + 1}/${agents.length}`);
-    console.log(`- Address: ${agent.address}`);
-    console.log(`- Voting Power: ${agent.votingPower}`);
-    console.log(`- Metadata: ${agent.metadata}`);
+/**
+ * Compare the config with on-chain state and list the transactions that reconcile them
+ * @dev Steps for one agent are in the order they must be sent: register, reactivate,
+ *      updateVotingPower, verify / revokeVerification, deactivate
+ * @param {import("ethers").Contract} governance Connected governance contract
+ * @param {Array<object>} agents Agents from validateConfig
+ * @returns {Promise<{steps: Array<object>, notes: string[], unmanaged: string[]}>}
+ *          Steps as { agent, action, method, args }, notes on differences that cannot be
+ *          reconciled, and registered agents missing from the config
+ */
+async function planSync(governance, agents) {
+  const steps = [];
+  const notes = [];
+  const step = (agent, action, method, args) => steps.push({ agent, action, method, args });
 
-    try {
-      // Check if already registered
-      const agentInfo = await governance.agents(agent.address);
-      
-      if (agentInfo.isRegistered) {
-        console.log("⚠ Already registered, skipping...");
+  for (const agent of agents) {
+    const onChain = await governance.getAgent(agent.address);
+    const { address } = agent;
+
+    let active = onChain.isActive;
+    let votingPower = onChain.votingPower;
+    let verified = onChain.isVerified;
+    let verificationValid = await governance.isVerificationValid(address);
+
+    if (!onChain.isRegistered) {
+      step(address, "register", "registerAgent", [address, agent.votingPower, agent.metadata]);
+      active = true;
+      votingPower = agent.votingPower;
+      verified = false;
+      verificationValid = false;
+    } else if (onChain.metadata !== agent.metadata) {
+      notes.push(`${address}: on-chain metadata "${onChain.metadata}" differs and cannot be updated`);
+    }
+
+    if (agent.active && !active) {
+      step(address, "reactivate", "reactivateAgent", [address]);
+      active = true;
+    }
+
+    if (votingPower !== agent.votingPower) {
+      if (active) {
+        step(address, "updateVotingPower", "updateVotingPower", [address, agent.votingPower]);
       } else {
-        // Register agent
-        const tx = await governance.registerAgent(
-          agent.address,
-          agent.votingPower,
-          agent.metadata
-        );
-        await tx.wait();
-        console.log("✓ Registered");
-
-        // Verify agent if specified
-        if (agent.autoVerify !== false) {
-          const verifyTx = await governance.verifyAgent(agent.address);
-          await verifyTx.wait();
-          console.log("✓ Verified");
-        }
+        notes.push(`${address}: voting power ${votingPower} differs but cannot change while inactive`);
       }
+    }
+
+    if (agent.verified && !verificationValid) {
+      if (active) {
+        step(address, "verify", "verifyAgent", [address]);
+      } else {
+        notes.push(`${address}: cannot be verified while inactive`);
+      }
+    } else if (!agent.verified && verified) {
+      step(address, "revokeVerification", "revokeVerification", [address]);
+    }
+
+    if (!agent.active && active) {
+      step(address, "deactivate", "deactivateAgent", [address]);
+    }
+  }
+
+  const configured = new Set(agents.map((agent) => agent.address));
+  const unmanaged = [];
+  const agentCount = await governance.getAgentCount();
+  for (let i = 0n; i < agentCount; i++) {
+    const address = await governance.agentList(i);
+    if (!configured.has(address)) {
+      unmanaged.push(address);
+    }
+  }
+
+  return { steps, notes, unmanaged };
+}
+
+/**
+ * Check that `account` may send every planned step
+ * @returns {Promise<string[]>} Problems that would make steps revert
+ */
+async function checkPermissions(governance, account, steps) {
+  if (steps.length === 0) {
+    return [];
+  }
+  if (await governance.selfGoverned()) {
+    return ["Governance is self-governed; roster changes must be made through proposals"];
+  }
+
+  const problems = [];
+  const roles = new Set(steps.map((step) => ACTION_ROLES[step.action]));
+  for (const role of roles) {
+    if (!(await governance.hasRole(await governance[role](), account))) {
+      problems.push(`${account} is missing ${role}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Send the planned steps in order
+ * @dev A failed step skips that agent's remaining steps; other agents are still synced
+ * @param {import("ethers").Contract} governance Governance contract connected to the sender
+ * @param {Array<object>} steps Steps from planSync
+ * @param {(message: string) => void} [log] Progress output
+ * @returns {Promise<Array<{step: object, error: Error}>>} Failed steps
+ */
+async function applySync(governance, steps, log = () => {}) {
+  const failures = [];
+  const failedAgents = new Set();
+
+  for (const step of steps) {
+    if (failedAgents.has(step.agent)) {
+      log(`- skipped ${describeStep(step)}`);
+      continue;
+    }
+    try {
+      const tx = await governance[step.method](...step.args);
+      await tx.wait();
+      log(`✓ ${describeStep(step)}`);
     } catch (error) {
-      console.error("✗ Error:", error.message);
+      failures.push({ step, error });
+      failedAgents.add(step.agent);
+      log(`✗ ${describeStep(step)}: ${error.shortMessage || error.message}`);
     }
+  }
 
-    console.log();
+  return failures;
+}
+
+/**
+ * Render a step as one line
+ */
+function describeStep(step) {
+  switch (step.action) {
+    case "register":
+      return `${step.agent} register (voting power ${step.args[1]}, metadata ${step.args[2]})`;
+    case "updateVotingPower":
+      return `${step.agent} updateVotingPower → ${step.args[1]}`;
+    default:
+      return `${step.agent} ${step.action}`;
   }
+}
 
-  // Display final state
+async function main() {
   console.log("========================================");
-  console.log("Setup Complete");
+  console.log("QuorumGovernance Agent Sync");
+  console.log("========================================\n");
+
+  const dryRun = process.argv.includes("--dry-run") || process.env.DRY_RUN === "true";
+
+  // Load contract address from the deployment manifest or environment
+  const contractAddress = await resolveAddress(hre);
+
+  const { config, source } = loadConfig(hre.network.name);
+  const agents = validateConfig(config);
+
+  const [signer] = await hre.ethers.getSigners();
+  const governance = await hre.ethers.getContractAt("QuorumGovernance", contractAddress, signer);
+
+  console.log("Governance Contract:", contractAddress);
+  console.log("Agent Config:", source);
+  console.log("Sync from account:", signer.address);
+  console.log(dryRun ? "Mode: dry run (no transactions)\n" : "");
+
+  const { steps, notes, unmanaged } = await planSync(governance, agents);
+
+  console.log(`Plan (${steps.length} step${steps.length === 1 ? "" : "s"} for ${agents.length} agents):`);
+  if (steps.length === 0) {
+    console.log("- Roster already in sync");
+  }
+  for (const step of steps) {
+    console.log(`- ${describeStep(step)}`);
+  }
+  for (const note of notes) {
+    console.log(`⚠ ${note}`);
+  }
+  for (const address of unmanaged) {
+    console.log(`⚠ ${address}: registered but not in the config, left unchanged`);
+  }
+  console.log();
+
+  const problems = await checkPermissions(governance, signer.address, steps);
+  for (const problem of problems) {
+    console.error(`✗ ${problem}`);
+  }
+
+  if (dryRun) {
+    if (problems.length > 0) {
+      throw new Error("Plan cannot be applied from this account");
+    }
+    return { steps, failures: [] };
+  }
+  if (problems.length > 0) {
+    throw new Error("Aborted before sending any transaction");
+  }
+
+  const failures = await applySync(governance, steps, console.log);
+
+  // Display final state
+  console.log("\n========================================");
+  console.log(failures.length === 0 ? "Sync Complete" : "Sync Finished With Errors");
   console.log("========================================");
-  
+
   const totalVotingPower = await governance.totalVotingPower();
-  const quorum = await governance.quorum();
   const quorumBp = await governance.quorumBasisPoints();
 
   console.log(`Total Voting Power: ${totalVotingPower}`);
-  console.log(`Quorum Threshold: ${quorum} votes (${quorumBp / 100}%)`);
+  console.log(
+    `Quorum Threshold: ${(totalVotingPower * quorumBp) / 10000n} votes (${Number(quorumBp) / 100}%)`
+  );
   console.log();
 
-  // List all registered agents
-  console.log("Registered Agents:");
-  for (const agent of agents) {
-    const info = await governance.agents(agent.address);
-    if (info.isRegistered) {
-      console.log(`- ${agent.address}: ${info.votingPower} votes, verified: ${info.isVerified}, active: ${info.isActive}`);
-    }
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} step${failures.length === 1 ? "" : "s"} failed`);
   }
-  console.log();
+  return { steps, failures };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message || error);
+      process.exit(1);
+    });
+}
 
-module.exports = { main };
+module.exports = { main, loadConfig, validateConfig, planSync, checkPermissions, applySync, describeStep };
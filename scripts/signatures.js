@@ -0,0 +1,192 @@
+/**
+ * EIP-712 signature helpers for QuorumGovernance
+ *
+ * Agents sign votes (and delegations) off-chain; any relayer can submit them
+ * with castVoteBySig / delegateBySig and pay the gas.
+ *
+ * As a module:
+ *   const { signVote } = require("./signatures");
+ *   const { nonce, deadline, signature } = await signVote(agentSigner, governance, { proposalId, choice });
+ *
+ * Attesters sign agent attestations for an AgentAttestationVerifier the same way:
+ *   const { signature } = await signAttestation(attesterSigner, verifier, { agent, metadata, expiry });
+ *
+ * As a script (prints the castVoteBySig arguments as JSON, signed by the first account, for the
+ * governance contract in the network's deployment manifest unless GOVERNANCE_ADDRESS is set):
+ *   PROPOSAL_ID=1 VOTE_CHOICE=1 npx hardhat run scripts/signatures.js --network <network-name>
+ */
+
+const { keccak256, toUtf8Bytes } = require("ethers");
+
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "choice", type: "uint8" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const DELEGATION_TYPES = {
+  Delegation: [
+    { name: "delegator", type: "address" },
+    { name: "delegatee", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "agent", type: "address" },
+    { name: "metadataHash", type: "bytes32" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// Signatures are valid for one hour unless a deadline is given
+const DEFAULT_VALIDITY_SECONDS = 3600;
+
+/**
+ * Build the EIP-712 domain of a deployed QuorumGovernance contract
+ * @param {import("ethers").Contract} contract Connected governance (or verifier) contract
+ * @param {string} [name] Domain name; "AgentAttestationVerifier" for attestations
+ * @returns {Promise<object>} Typed-data domain
+ */
+async function getDomain(contract, name = "QuorumGovernance") {
+  const { chainId } = await contract.runner.provider.getNetwork();
+  return {
+    name,
+    version: "1",
+    chainId,
+    verifyingContract: await contract.getAddress(),
+  };
+}
+
+/**
+ * Fill in the nonce and deadline an agent's next signature should use
+ */
+async function resolveNonceAndDeadline(signer, governance, { nonce, deadline }) {
+  const address = await signer.getAddress();
+  if (nonce === undefined) {
+    nonce = await governance.nonces(address);
+  }
+  if (deadline === undefined) {
+    const latest = await governance.runner.provider.getBlock("latest");
+    deadline = latest.timestamp + DEFAULT_VALIDITY_SECONDS;
+  }
+  return { address, nonce: BigInt(nonce), deadline: BigInt(deadline) };
+}
+
+/**
+ * Sign a ballot for castVoteBySig
+ * @param {import("ethers").Signer} signer Agent casting the vote
+ * @param {import("ethers").Contract} governance Governance contract
+ * @param {object} ballot { proposalId, choice (0=Against, 1=For, 2=Abstain), nonce?, deadline? }
+ * @returns {Promise<object>} { proposalId, choice, voter, nonce, deadline, signature }
+ */
+async function signVote(signer, governance, { proposalId, choice, nonce, deadline }) {
+  const resolved = await resolveNonceAndDeadline(signer, governance, { nonce, deadline });
+  const message = {
+    proposalId: BigInt(proposalId),
+    choice: Number(choice),
+    voter: resolved.address,
+    nonce: resolved.nonce,
+    deadline: resolved.deadline,
+  };
+
+  const signature = await signer.signTypedData(await getDomain(governance), BALLOT_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Sign a delegation for delegateBySig
+ * @param {import("ethers").Signer} signer Agent delegating its power
+ * @param {import("ethers").Contract} governance Governance contract
+ * @param {object} delegation { delegatee, nonce?, deadline? }
+ * @returns {Promise<object>} { delegator, delegatee, nonce, deadline, signature }
+ */
+async function signDelegation(signer, governance, { delegatee, nonce, deadline }) {
+  const resolved = await resolveNonceAndDeadline(signer, governance, { nonce, deadline });
+  const message = {
+    delegator: resolved.address,
+    delegatee,
+    nonce: resolved.nonce,
+    deadline: resolved.deadline,
+  };
+
+  const signature = await signer.signTypedData(await getDomain(governance), DELEGATION_TYPES, message);
+  return { ...message, signature };
+}
+
+/**
+ * Sign an agent attestation for AgentAttestationVerifier.submitAttestation
+ * @param {import("ethers").Signer} signer Attester
+ * @param {import("ethers").Contract} verifier AgentAttestationVerifier contract
+ * @param {object} attestation { agent, metadata (the agent's registered metadata string), expiry (unix seconds) }
+ * @returns {Promise<object>} { agent, metadataHash, expiry, attester, signature }
+ */
+async function signAttestation(signer, verifier, { agent, metadata, expiry }) {
+  const message = {
+    agent,
+    metadataHash: keccak256(toUtf8Bytes(metadata)),
+    expiry: BigInt(expiry),
+  };
+
+  const domain = await getDomain(verifier, "AgentAttestationVerifier");
+  const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, message);
+  return { ...message, attester: await signer.getAddress(), signature };
+}
+
+/**
+ * Order attester signatures the way submitAttestation expects (by ascending attester address)
+ * @param {object[]} attestations Results of signAttestation for the same attestation
+ * @returns {string[]} Signatures
+ */
+function sortAttestationSignatures(attestations) {
+  return [...attestations]
+    .sort((a, b) => (BigInt(a.attester) < BigInt(b.attester) ? -1 : 1))
+    .map((attestation) => attestation.signature);
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const { resolveAddress } = require("./deployments");
+
+  if (process.env.PROPOSAL_ID === undefined || process.env.VOTE_CHOICE === undefined) {
+    throw new Error("PROPOSAL_ID and VOTE_CHOICE environment variables must be set");
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const governance = await hre.ethers.getContractAt("QuorumGovernance", await resolveAddress(hre));
+
+  const ballot = await signVote(signer, governance, {
+    proposalId: process.env.PROPOSAL_ID,
+    choice: process.env.VOTE_CHOICE,
+    deadline: process.env.DEADLINE,
+  });
+
+  console.log(JSON.stringify(ballot, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  DELEGATION_TYPES,
+  ATTESTATION_TYPES,
+  getDomain,
+  signVote,
+  signDelegation,
+  signAttestation,
+  sortAttestationSignatures,
+  main,
+};
@@ -0,0 +1,470 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { resolveAddress } = require("../scripts/deployments");
+
+/**
+ * Hardhat tasks for driving QuorumGovernance proposals
+ *
+ * Every task talks to the governance contract in the network's deployment manifest
+ * (or --governance / GOVERNANCE_ADDRESS), sends from the first account unless --from
+ * names another (an account index or address), and prints JSON with --json.
+ *
+ * Usage:
+ *   npx hardhat gov:propose --description "Lower quorum" --target self \
+ *     --signature "updateQuorum(uint256)" --args '[3000]' --network <network-name>
+ *   npx hardhat gov:vote --id 1 --choice for --reason "Participation is low" --network <network-name>
+ *   npx hardhat gov:status --id 1 --json --network <network-name>   # actions decoded by scripts/decoder.js
+ *   npx hardhat gov:execute --id 1 --network <network-name>   # queues, then executes after the timelock
+ *   npx hardhat gov:cancel --id 1 --network <network-name>
+ *   npx hardhat gov:agents --offset 0 --limit 100 --network <network-name>
+ */
+
+const PROPOSAL_STATES = [
+  "Pending",
+  "Active",
+  "Canceled",
+  "Defeated",
+  "Succeeded",
+  "Queued",
+  "Expired",
+  "Executed",
+  "Vetoed",
+];
+
+const VOTE_CHOICES = ["Against", "For", "Abstain"];
+
+// ============ Helpers ============
+
+/**
+ * Parse a JSON task argument
+ */
+function parseJson(name, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`--${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Encode a human-readable proposal action
+ * @param {object} ethers ethers library (hre.ethers)
+ * @param {string} governanceAddress Address used for the target "self"
+ * @param {object} action { target (address or "self"), signature?, args?, value? }
+ * @returns {{target: string, value: bigint, data: string}} Encoded action
+ */
+function encodeAction(ethers, governanceAddress, { target, signature, args = [], value = 0 }) {
+  const resolvedTarget = target === "self" ? governanceAddress : target;
+  if (typeof resolvedTarget !== "string" || !ethers.isAddress(resolvedTarget)) {
+    throw new Error(`Invalid target "${target}"; use an address or "self"`);
+  }
+  if (!Array.isArray(args)) {
+    throw new Error("Action arguments must be a JSON array");
+  }
+
+  let data = "0x";
+  if (signature) {
+    const fragment = ethers.FunctionFragment.from(signature.replace(/^function\s+/, ""));
+    if (fragment.inputs.length !== args.length) {
+      throw new Error(
+        `${fragment.format()} takes ${fragment.inputs.length} argument(s), got ${args.length}`
+      );
+    }
+    data = new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+  } else if (args.length > 0) {
+    throw new Error("Arguments given without a function signature");
+  }
+
+  return { target: ethers.getAddress(resolvedTarget), value: BigInt(value), data };
+}
+
+/**
+ * Parse a vote choice given as a name (for/against/abstain) or number (1/0/2)
+ * @returns {number} VoteChoice value
+ */
+function parseChoice(raw) {
+  const byName = VOTE_CHOICES.findIndex((choice) => choice.toLowerCase() === String(raw).toLowerCase());
+  if (byName !== -1) {
+    return byName;
+  }
+  if (/^[0-2]$/.test(String(raw))) {
+    return Number(raw);
+  }
+  throw new Error(`Invalid choice "${raw}"; use for, against or abstain`);
+}
+
+/**
+ * Resolve the account a task sends from: an account index, an address, or the first account
+ */
+async function getSigner(hre, from) {
+  if (from === undefined) {
+    return (await hre.ethers.getSigners())[0];
+  }
+  if (/^[0-9]+$/.test(from)) {
+    const signer = (await hre.ethers.getSigners())[Number(from)];
+    if (!signer) {
+      throw new Error(`No account at index ${from}`);
+    }
+    return signer;
+  }
+  return hre.ethers.getSigner(from);
+}
+
+/**
+ * Connect to the governance contract for a task
+ */
+async function getGovernance(hre, { governance, from }) {
+  const address = governance || (await resolveAddress(hre));
+  return hre.ethers.getContractAt("QuorumGovernance", address, await getSigner(hre, from));
+}
+
+/**
+ * Find the first log of an event in a receipt
+ */
+function findEvent(governance, receipt, ...eventNames) {
+  for (const log of receipt.logs) {
+    const parsed = governance.interface.parseLog(log);
+    if (parsed && eventNames.includes(parsed.name)) {
+      return parsed;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a proposal's state, tally and actions
+ * @param {import("ethers").Contract} governance Governance contract
+ * @param {bigint|number} proposalId ID of the proposal
+ * @param {object} [registry] ABI registry (scripts/decoder.js); when given, each action also
+ *        has its decoded `call`, `function`, `args` and risk `flags`
+ * @returns {Promise<object>} Proposal status
+ */
+async function getProposalStatus(governance, proposalId, registry) {
+  const proposal = await governance.proposals(proposalId);
+  const state = await governance.getProposalState(proposalId);
+  const results = await governance.getVotingResults(proposalId);
+  const [targets, values, calldatas] = await governance.getActions(proposalId);
+  const decoded = registry ? await require("../scripts/decoder").decodeProposal(registry, governance, proposalId) : [];
+
+  return {
+    id: proposal.id,
+    state: PROPOSAL_STATES[Number(state)],
+    proposer: proposal.proposer,
+    description: proposal.description,
+    startBlock: proposal.startBlock,
+    endBlock: proposal.endBlock,
+    eta: proposal.eta,
+    votes: {
+      for: results.forVotes,
+      against: results.againstVotes,
+      abstain: results.abstainVotes,
+      total: results.totalVotes,
+      quorumReached: results.quorumReached,
+    },
+    actions: targets.map((target, i) => {
+      const action = { target, value: values[i], data: calldatas[i] };
+      if (!registry) {
+        return action;
+      }
+      return {
+        ...action,
+        contract: decoded[i].contract,
+        function: decoded[i].function,
+        args: decoded[i].args,
+        call: decoded[i].rendered,
+        flags: decoded[i].flags,
+      };
+    }),
+  };
+}
+
+/**
+ * Print a task result as JSON or through `render`
+ */
+function output(result, json, render) {
+  if (json) {
+    console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  } else {
+    render(result);
+  }
+  return result;
+}
+
+function formatTimestamp(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+function renderStatus(status) {
+  console.log(`Proposal #${status.id}: ${status.description}`);
+  console.log(`State:    ${status.state}`);
+  console.log(`Proposer: ${status.proposer}`);
+  console.log(`Voting:   blocks ${status.startBlock} – ${status.endBlock}`);
+  if (status.eta !== 0n) {
+    console.log(`ETA:      ${formatTimestamp(status.eta)}`);
+  }
+  const { votes } = status;
+  console.log(
+    `Votes:    For ${votes.for} · Against ${votes.against} · Abstain ${votes.abstain} ` +
+      `(total ${votes.total}, quorum ${votes.quorumReached ? "reached" : "not reached"})`
+  );
+  if (status.actions.length === 0) {
+    console.log("Actions:  none (signaling proposal)");
+    return;
+  }
+  console.log("Actions:");
+  status.actions.forEach((action, i) => {
+    console.log(`  ${i + 1}. ${action.call || `${action.target} value ${action.value} data ${action.data}`}`);
+    for (const flag of action.flags || []) {
+      console.log(`     ${flag.severity === "danger" ? "⚠" : "•"} ${flag.message}`);
+    }
+  });
+
+  const flagged = status.actions.filter((action) => (action.flags || []).some((flag) => flag.severity === "danger"));
+  if (flagged.length > 0) {
+    console.log(`\n⚠ ${flagged.length} action${flagged.length === 1 ? "" : "s"} need${flagged.length === 1 ? "s" : ""} careful review`);
+  }
+}
+
+/**
+ * Add the options every governance task shares
+ */
+function governanceTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("governance", "Governance contract address (default: deployment manifest)")
+    .addOptionalParam("from", "Account index or address to send from (default: first account)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+// ============ Tasks ============
+
+governanceTask("gov:propose", "Create a proposal from a function signature and arguments")
+  .addParam("description", "Proposal description")
+  .addOptionalParam("target", 'Contract to call, or "self" for the governance contract')
+  .addOptionalParam("signature", 'Function signature, e.g. "updateQuorum(uint256)"')
+  .addOptionalParam("args", "Function arguments as a JSON array", "[]")
+  .addOptionalParam("value", "ETH (wei) to send with the call", "0")
+  .addOptionalParam("actions", "JSON array (or .json file) of { target, signature, args, value } for several calls")
+  .addOptionalParam("category", "Category ID in the category registry", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const governance = await getGovernance(hre, taskArgs);
+    const governanceAddress = await governance.getAddress();
+
+    let specs = [];
+    if (taskArgs.actions) {
+      const raw = fs.existsSync(taskArgs.actions) ? fs.readFileSync(taskArgs.actions, "utf8") : taskArgs.actions;
+      specs = parseJson("actions", raw);
+      if (!Array.isArray(specs) || specs.length === 0) {
+        throw new Error("--actions must be a non-empty JSON array");
+      }
+      if (taskArgs.target || taskArgs.signature) {
+        throw new Error("Use either --actions or --target/--signature, not both");
+      }
+    } else if (taskArgs.target) {
+      specs = [{
+        target: taskArgs.target,
+        signature: taskArgs.signature,
+        args: parseJson("args", taskArgs.args),
+        value: taskArgs.value,
+      }];
+    } else if (taskArgs.signature) {
+      throw new Error("--signature needs a --target");
+    }
+    const actions = specs.map((spec) => encodeAction(hre.ethers, governanceAddress, spec));
+
+    let tx;
+    if (taskArgs.category !== undefined) {
+      tx = await governance.createCategorizedProposal(
+        taskArgs.category,
+        taskArgs.description,
+        actions.map((action) => action.target),
+        actions.map((action) => action.value),
+        actions.map((action) => action.data)
+      );
+    } else if (actions.length === 0) {
+      tx = await governance.createProposal(taskArgs.description, hre.ethers.ZeroAddress, "0x");
+    } else if (actions.length === 1 && actions[0].value === 0n) {
+      tx = await governance.createProposal(taskArgs.description, actions[0].target, actions[0].data);
+    } else {
+      tx = await governance.createBatchProposal(
+        taskArgs.description,
+        actions.map((action) => action.target),
+        actions.map((action) => action.value),
+        actions.map((action) => action.data)
+      );
+    }
+    const receipt = await tx.wait();
+    const created = findEvent(governance, receipt, "ProposalCreated");
+
+    return output(
+      {
+        proposalId: created.args.proposalId,
+        startBlock: created.args.startBlock,
+        endBlock: created.args.endBlock,
+        actions,
+        transactionHash: receipt.hash,
+      },
+      taskArgs.json,
+      (result) => {
+        console.log(`✓ Created proposal #${result.proposalId} (tx ${result.transactionHash})`);
+        console.log(`  Voting: blocks ${result.startBlock} – ${result.endBlock}`);
+      }
+    );
+  });
+
+governanceTask("gov:vote", "Vote on a proposal")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addParam("choice", "for, against or abstain")
+  .addOptionalParam("reason", "Reason recorded with the vote")
+  .setAction(async (taskArgs, hre) => {
+    const governance = await getGovernance(hre, taskArgs);
+    const choice = parseChoice(taskArgs.choice);
+
+    const tx = taskArgs.reason
+      ? await governance.castVoteWithReason(taskArgs.id, choice, taskArgs.reason)
+      : await governance.castVote(taskArgs.id, choice);
+    const receipt = await tx.wait();
+    const cast = findEvent(governance, receipt, "VoteCast", "VoteChanged");
+
+    return output(
+      {
+        proposalId: BigInt(taskArgs.id),
+        voter: cast.args.voter,
+        choice: VOTE_CHOICES[choice],
+        votingPower: cast.args.votingPower,
+        transactionHash: receipt.hash,
+      },
+      taskArgs.json,
+      (result) => {
+        console.log(
+          `✓ ${result.voter} voted ${result.choice} on proposal #${result.proposalId} ` +
+            `with ${result.votingPower} votes (tx ${result.transactionHash})`
+        );
+      }
+    );
+  });
+
+governanceTask("gov:status", "Show a proposal's state, votes and decoded actions")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .addOptionalParam("abis", "JSON file of extra contracts to decode: [{ name, address, abi | artifact }]")
+  .setAction(async (taskArgs, hre) => {
+    const governance = await getGovernance(hre, taskArgs);
+    const extra = taskArgs.abis ? parseJson("abis", fs.readFileSync(taskArgs.abis, "utf8")) : [];
+    // Required here, not with the config, so `hardhat run scripts/decoder.js` still runs its main
+    const { loadRegistry } = require("../scripts/decoder");
+    const registry = await loadRegistry(hre, await governance.getAddress(), extra);
+
+    return output(await getProposalStatus(governance, taskArgs.id, registry), taskArgs.json, renderStatus);
+  });
+
+governanceTask("gov:execute", "Queue a succeeded proposal, or execute a queued one after its timelock")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const governance = await getGovernance(hre, taskArgs);
+    const state = PROPOSAL_STATES[Number(await governance.getProposalState(taskArgs.id))];
+
+    let result;
+    if (state === "Succeeded") {
+      const receipt = await (await governance.queueProposal(taskArgs.id)).wait();
+      const queued = findEvent(governance, receipt, "ProposalQueued");
+      result = { proposalId: BigInt(taskArgs.id), action: "queued", eta: queued.args.eta, transactionHash: receipt.hash };
+    } else if (state === "Queued") {
+      const { eta } = await governance.proposals(taskArgs.id);
+      const latest = await hre.ethers.provider.getBlock("latest");
+      if (BigInt(latest.timestamp) < eta) {
+        throw new Error(`Proposal ${taskArgs.id} is timelocked until ${formatTimestamp(eta)}`);
+      }
+      const receipt = await (await governance.executeProposal(taskArgs.id)).wait();
+      result = { proposalId: BigInt(taskArgs.id), action: "executed", eta, transactionHash: receipt.hash };
+    } else {
+      throw new Error(`Proposal ${taskArgs.id} is ${state}; only Succeeded or Queued proposals can move on`);
+    }
+
+    return output(result, taskArgs.json, ({ proposalId, action, eta, transactionHash }) => {
+      console.log(`✓ ${action === "queued" ? "Queued" : "Executed"} proposal #${proposalId} (tx ${transactionHash})`);
+      if (action === "queued") {
+        console.log(`  Executable from ${formatTimestamp(eta)}; run gov:execute again then`);
+      }
+    });
+  });
+
+governanceTask("gov:cancel", "Cancel a proposal (proposer or CANCELLER_ROLE)")
+  .addParam("id", "Proposal ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const governance = await getGovernance(hre, taskArgs);
+    const receipt = await (await governance.cancelProposal(taskArgs.id)).wait();
+
+    return output(
+      { proposalId: BigInt(taskArgs.id), action: "canceled", transactionHash: receipt.hash },
+      taskArgs.json,
+      (result) => console.log(`✓ Canceled proposal #${result.proposalId} (tx ${result.transactionHash})`)
+    );
+  });
+
+governanceTask("gov:agents", "List registered agents, one page of agentList at a time")
+  .addFlag("activeOnly", "Only list active agents")
+  .addOptionalParam("offset", "Index in agentList to start at", 0, types.int)
+  .addOptionalParam("limit", "Number of agentList entries to read", 100, types.int)
+  .setAction(async (taskArgs, hre) => {
+    if (taskArgs.offset < 0 || taskArgs.limit < 1) {
+      throw new Error("--offset must be at least 0 and --limit at least 1");
+    }
+    const governance = await getGovernance(hre, taskArgs);
+
+    // Read a bounded window of agentList instead of getAllAgents, which outgrows RPC limits
+    const agentCount = Number(await governance.getAgentCount());
+    const nextOffset = Math.max(taskArgs.offset, Math.min(taskArgs.offset + taskArgs.limit, agentCount));
+    const indexes = Array.from({ length: nextOffset - taskArgs.offset }, (_, i) => taskArgs.offset + i);
+
+    const page = await Promise.all(
+      indexes.map(async (index) => {
+        const address = await governance.agentList(index);
+        const [agent, votes, verified, verificationExpiresAt] = await Promise.all([
+          governance.getAgent(address),
+          governance.getVotes(address),
+          governance.isVerificationValid(address),
+          governance.verificationExpiresAt(address),
+        ]);
+        return {
+          address,
+          votingPower: agent.votingPower,
+          votes,
+          active: agent.isActive,
+          verified,
+          verificationExpiresAt,
+          metadata: agent.metadata,
+        };
+      })
+    );
+    const agents = taskArgs.activeOnly ? page.filter((agent) => agent.active) : page;
+
+    const result = {
+      totalVotingPower: await governance.totalVotingPower(),
+      // Expiry not checked: see getActiveVerifiedAgentCount
+      agentsHoldingVerification: await governance.getActiveVerifiedAgentCount(),
+      agentCount,
+      nextOffset,
+      agents,
+    };
+
+    return output(result, taskArgs.json, ({ totalVotingPower, agentsHoldingVerification }) => {
+      console.log(`Total Voting Power: ${totalVotingPower} (${agentsHoldingVerification} active agents holding a verification, expiry not checked)`);
+      for (const agent of agents) {
+        const flags = [agent.active ? "active" : "inactive", agent.verified ? "verified" : "unverified"];
+        if (agent.verificationExpiresAt !== 0n) {
+          flags.push(`expires ${formatTimestamp(agent.verificationExpiresAt)}`);
+        }
+        console.log(`- ${agent.address}: power ${agent.votingPower}, votes ${agent.votes}, ${flags.join(", ")}, ${agent.metadata}`);
+      }
+      if (nextOffset < agentCount) {
+        console.log(`Listed up to agent ${nextOffset} of ${agentCount}; continue with --offset ${nextOffset}`);
+      }
+    });
+  });
+
+module.exports = {
+  PROPOSAL_STATES,
+  VOTE_CHOICES,
+  encodeAction,
+  parseChoice,
+  getProposalStatus,
+};
@@ -0,0 +1,257 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture, setCode, setBalance, impersonateAccount } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("AgentApplications", function () {
+  const BOND = ethers.parseEther("1");
+
+  // ============ Fixtures ============
+
+  async function deployApplicationsFixture() {
+    const [owner, agent1, agent2, applicant, other] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+
+    const AgentApplications = await ethers.getContractFactory("AgentApplications");
+    const applications = await AgentApplications.deploy(await governance.getAddress(), BOND);
+    await governance.grantRole(await governance.REGISTRAR_ROLE(), await applications.getAddress());
+
+    return { governance, applications, owner, agent1, agent2, applicant, other };
+  }
+
+  async function deployWithApplicationFixture() {
+    const fixture = await deployApplicationsFixture();
+    await fixture.applications.connect(fixture.applicant).applyAsAgent("ipfs://applicant", { value: BOND });
+    return fixture;
+  }
+
+  // Pass a proposal whose actions are `calls` ([target, calldata]) and execute it
+  async function executeProposal(governance, voters, calls) {
+    const proposalId = (await governance.proposalCount()) + 1n;
+    await governance.connect(voters[0]).createBatchProposal(
+      "Application decision",
+      calls.map(([target]) => target),
+      calls.map(() => 0),
+      calls.map(([, data]) => data)
+    );
+
+    const proposal = await governance.proposals(proposalId);
+    await time.advanceBlockTo(proposal.startBlock + 1n);
+    for (const voter of voters) {
+      await governance.connect(voter).castVote(proposalId, 1);
+    }
+    await time.advanceBlockTo(proposal.endBlock + 1n);
+    await governance.queueProposal(proposalId);
+    await time.increaseTo((await governance.proposals(proposalId)).eta);
+    await governance.executeProposal(proposalId);
+  }
+
+  // ============ Application Tests ============
+
+  describe("Applications", function () {
+    it("Should record a bonded application as pending", async function () {
+      const { applications, applicant } = await loadFixture(deployApplicationsFixture);
+
+      await expect(applications.connect(applicant).applyAsAgent("ipfs://applicant", { value: BOND }))
+        .to.emit(applications, "ApplicationSubmitted")
+        .withArgs(applicant.address, BOND, "ipfs://applicant");
+
+      const application = await applications.getApplication(applicant.address);
+      expect(application.bond).to.equal(BOND);
+      expect(application.status).to.equal(1); // Pending
+      expect(await applications.getPendingApplicants()).to.deep.equal([applicant.address]);
+    });
+
+    it("Should reject low bonds, duplicate applications and registered agents", async function () {
+      const { applications, agent1, applicant } = await loadFixture(deployWithApplicationFixture);
+
+      await expect(
+        applications.connect(applicant).applyAsAgent("ipfs://again", { value: BOND })
+      ).to.be.revertedWith("Application pending");
+      await expect(
+        applications.connect(agent1).applyAsAgent("ipfs://agent1", { value: BOND })
+      ).to.be.revertedWith("Already registered");
+      await expect(
+        applications.connect(agent1).applyAsAgent("ipfs://agent1", { value: BOND - 1n })
+      ).to.be.revertedWith("Bond too low");
+    });
+
+    it("Should refund the bond when an application is withdrawn", async function () {
+      const { applications, applicant } = await loadFixture(deployWithApplicationFixture);
+
+      const tx = applications.connect(applicant).withdrawApplication();
+      await expect(tx)
+        .to.emit(applications, "ApplicationWithdrawn")
+        .withArgs(applicant.address, BOND);
+      await expect(tx).to.changeEtherBalance(applicant, BOND);
+
+      expect((await applications.getApplication(applicant.address)).status).to.equal(4); // Withdrawn
+      expect(await applications.getPendingApplicants()).to.deep.equal([]);
+    });
+
+    it("Should credit the bond for claiming when an application is rejected", async function () {
+      const { applications, owner, applicant, other } = await loadFixture(deployWithApplicationFixture);
+
+      await expect(
+        applications.connect(other).rejectApplication(applicant.address)
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(applications.rejectApplication(applicant.address))
+        .to.emit(applications, "ApplicationRejected")
+        .withArgs(applicant.address, BOND, owner.address);
+      expect(await applications.refunds(applicant.address)).to.equal(BOND);
+
+      const tx = applications.connect(applicant).claimRefund();
+      await expect(tx)
+        .to.emit(applications, "RefundClaimed")
+        .withArgs(applicant.address, BOND);
+      await expect(tx).to.changeEtherBalance(applicant, BOND);
+      await expect(applications.connect(applicant).claimRefund()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should reject applicants that refuse ETH", async function () {
+      const { applications } = await loadFixture(deployApplicationsFixture);
+
+      // A contract account whose code reverts on every call, including plain ETH transfers
+      const applicant = "0x000000000000000000000000000000000000dEaD";
+      await setCode(applicant, "0x60006000fd");
+      await setBalance(applicant, BOND * 2n);
+      await impersonateAccount(applicant);
+      const signer = await ethers.getSigner(applicant);
+      await applications.connect(signer).applyAsAgent("ipfs://contract", { value: BOND });
+
+      await applications.rejectApplication(applicant);
+      expect((await applications.getApplication(applicant)).status).to.equal(3); // Rejected
+      expect(await applications.getPendingApplicants()).to.deep.equal([]);
+      await expect(applications.connect(signer).claimRefund()).to.be.revertedWith("Transfer failed");
+    });
+  });
+
+  // ============ Approval Tests ============
+
+  describe("Approval", function () {
+    it("Should register the applicant when the owner approves", async function () {
+      const { governance, applications, owner, applicant } = await loadFixture(deployWithApplicationFixture);
+
+      await expect(applications.approveApplication(applicant.address, 80))
+        .to.emit(applications, "ApplicationApproved")
+        .withArgs(applicant.address, 80, owner.address)
+        .and.to.emit(governance, "AgentRegistered")
+        .withArgs(applicant.address, 80, "ipfs://applicant");
+
+      const application = await applications.getApplication(applicant.address);
+      expect(application.status).to.equal(2); // Approved
+      expect(application.bond).to.equal(BOND);
+      expect(await applications.getPendingApplicants()).to.deep.equal([]);
+    });
+
+    it("Should register the applicant when a governance vote approves", async function () {
+      const { governance, applications, agent1, agent2, applicant } =
+        await loadFixture(deployWithApplicationFixture);
+
+      await executeProposal(governance, [agent1, agent2], [
+        [
+          await applications.getAddress(),
+          applications.interface.encodeFunctionData("approveApplication", [applicant.address, 80]),
+        ],
+      ]);
+
+      expect((await governance.getAgent(applicant.address)).votingPower).to.equal(80);
+    });
+
+    it("Should accept a self-governed proposal that registers the agent before approving", async function () {
+      const { governance, applications, agent1, agent2, applicant } =
+        await loadFixture(deployWithApplicationFixture);
+
+      await governance.enableSelfGovernance();
+      await expect(
+        applications.approveApplication(applicant.address, 80)
+      ).to.be.revertedWith("Only governance");
+
+      await executeProposal(governance, [agent1, agent2], [
+        [
+          await governance.getAddress(),
+          governance.interface.encodeFunctionData("registerAgent", [applicant.address, 80, "ipfs://applicant"]),
+        ],
+        [
+          await applications.getAddress(),
+          applications.interface.encodeFunctionData("approveApplication", [applicant.address, 80]),
+        ],
+      ]);
+
+      expect((await applications.getApplication(applicant.address)).status).to.equal(2); // Approved
+      expect((await governance.getAgent(applicant.address)).isRegistered).to.be.true;
+    });
+  });
+
+  // ============ Bond Tests ============
+
+  describe("Bonds", function () {
+    async function deployWithApprovedAgentFixture() {
+      const fixture = await deployWithApplicationFixture();
+      await fixture.applications.approveApplication(fixture.applicant.address, 80);
+      return fixture;
+    }
+
+    it("Should slash a bond to the governance treasury", async function () {
+      const { governance, applications, applicant } = await loadFixture(deployWithApprovedAgentFixture);
+      const evidence = ethers.id("ipfs://misbehavior-report");
+      const amount = BOND / 2n;
+
+      const tx = applications.slashBond(applicant.address, amount, evidence);
+      await expect(tx)
+        .to.emit(applications, "BondSlashed")
+        .withArgs(applicant.address, amount, evidence);
+      await expect(tx).to.changeEtherBalance(governance, amount);
+
+      expect((await applications.getApplication(applicant.address)).bond).to.equal(BOND - amount);
+      await expect(
+        applications.slashBond(applicant.address, BOND, evidence)
+      ).to.be.revertedWith("Invalid amount");
+    });
+
+    it("Should release the bond only after the agent is deactivated", async function () {
+      const { governance, applications, owner, applicant } = await loadFixture(deployWithApprovedAgentFixture);
+
+      await expect(applications.releaseBond(applicant.address)).to.be.revertedWith("Agent still active");
+
+      await governance.deactivateAgent(applicant.address);
+      await expect(
+        applications.connect(applicant).releaseBond(applicant.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(applications.connect(applicant).claimRefund()).to.be.revertedWith("Nothing to claim");
+
+      // A slash decided after deactivation still lands before the release
+      await applications.slashBond(applicant.address, BOND / 4n, ethers.id("ipfs://report"));
+      await expect(applications.releaseBond(applicant.address))
+        .to.emit(applications, "BondReleased")
+        .withArgs(applicant.address, BOND - BOND / 4n, owner.address);
+      await expect(applications.releaseBond(applicant.address)).to.be.revertedWith("No bond");
+
+      await expect(applications.connect(applicant).claimRefund()).to.changeEtherBalance(
+        applicant,
+        BOND - BOND / 4n
+      );
+    });
+
+    it("Should let the owner change the minimum bond", async function () {
+      const { applications, other } = await loadFixture(deployApplicationsFixture);
+
+      await expect(applications.updateMinimumBond(BOND * 2n))
+        .to.emit(applications, "MinimumBondUpdated")
+        .withArgs(BOND, BOND * 2n);
+      await expect(
+        applications.connect(other).applyAsAgent("ipfs://other", { value: BOND })
+      ).to.be.revertedWith("Bond too low");
+    });
+  });
+});
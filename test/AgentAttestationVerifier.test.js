@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { signAttestation, sortAttestationSignatures } = require("../scripts/signatures");
+
+describe("AgentAttestationVerifier", function () {
+  const DAY = 24 * 60 * 60;
+
+  // ============ Fixtures ============
+
+  async function deployVerifierFixture() {
+    const [owner, agent, attester1, attester2, attester3, relayer] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+    await governance.registerAgent(agent.address, 100, "ipfs://agent");
+
+    const AgentAttestationVerifier = await ethers.getContractFactory("AgentAttestationVerifier");
+    const verifier = await AgentAttestationVerifier.deploy(
+      await governance.getAddress(),
+      [attester1.address, attester2.address, attester3.address],
+      2
+    );
+    await governance.grantRole(await governance.VERIFIER_ROLE(), await verifier.getAddress());
+
+    const expiry = (await time.latest()) + DAY;
+
+    return { governance, verifier, owner, agent, attester1, attester2, attester3, relayer, expiry };
+  }
+
+  // Sign the agent's attestation with each of `attesters`, ordered for submitAttestation
+  async function attest(verifier, attesters, { agent, metadata = "ipfs://agent", expiry }) {
+    const signed = [];
+    for (const attester of attesters) {
+      signed.push(await signAttestation(attester, verifier, { agent, metadata, expiry }));
+    }
+    return { metadataHash: signed[0].metadataHash, signatures: sortAttestationSignatures(signed) };
+  }
+
+  // ============ Attestation Tests ============
+
+  describe("Attestations", function () {
+    it("Should verify an agent attested by the threshold of attesters", async function () {
+      const { governance, verifier, agent, attester1, attester3, relayer, expiry } =
+        await loadFixture(deployVerifierFixture);
+
+      const { metadataHash, signatures } = await attest(verifier, [attester1, attester3], {
+        agent: agent.address,
+        expiry,
+      });
+
+      await expect(
+        verifier.connect(relayer).submitAttestation(agent.address, metadataHash, expiry, signatures)
+      )
+        .to.emit(verifier, "AgentAttested")
+        .withArgs(agent.address, metadataHash, expiry, relayer.address)
+        .and.to.emit(governance, "AgentVerified")
+        .withArgs(agent.address, await verifier.getAddress());
+
+      expect(await governance.isVerificationValid(agent.address)).to.be.true;
+    });
+
+    it("Should require the threshold of distinct attesters", async function () {
+      const { verifier, agent, attester1, relayer, expiry } = await loadFixture(deployVerifierFixture);
+
+      const { metadataHash, signatures } = await attest(verifier, [attester1], {
+        agent: agent.address,
+        expiry,
+      });
+
+      await expect(
+        verifier.submitAttestation(agent.address, metadataHash, expiry, signatures)
+      ).to.be.revertedWith("Not enough signatures");
+      await expect(
+        verifier.submitAttestation(agent.address, metadataHash, expiry, [signatures[0], signatures[0]])
+      ).to.be.revertedWith("Signers not in order");
+
+      const outsider = await attest(verifier, [attester1, relayer], { agent: agent.address, expiry });
+      await expect(
+        verifier.submitAttestation(agent.address, metadataHash, expiry, outsider.signatures)
+      ).to.be.revertedWith("Not an attester");
+    });
+
+    it("Should reject expired, replayed or mismatched attestations", async function () {
+      const { governance, verifier, agent, attester1, attester2, expiry } =
+        await loadFixture(deployVerifierFixture);
+
+      const stale = await attest(verifier, [attester1, attester2], {
+        agent: agent.address,
+        metadata: "ipfs://old-metadata",
+        expiry,
+      });
+      await expect(
+        verifier.submitAttestation(agent.address, stale.metadataHash, expiry, stale.signatures)
+      ).to.be.revertedWith("Metadata mismatch");
+
+      const { metadataHash, signatures } = await attest(verifier, [attester1, attester2], {
+        agent: agent.address,
+        expiry,
+      });
+      await verifier.submitAttestation(agent.address, metadataHash, expiry, signatures);
+
+      // A revoked agent cannot be re-verified with the same attestation
+      await governance.revokeVerification(agent.address);
+      await expect(
+        verifier.submitAttestation(agent.address, metadataHash, expiry, signatures)
+      ).to.be.revertedWith("Attestation already used");
+
+      await time.increaseTo(expiry + 1);
+      const late = await attest(verifier, [attester1, attester2], { agent: agent.address, expiry });
+      await expect(
+        verifier.submitAttestation(agent.address, late.metadataHash, expiry, late.signatures)
+      ).to.be.revertedWith("Attestation expired");
+    });
+
+    it("Should cap the verification at the attestation's expiry", async function () {
+      const { governance, verifier, agent, attester1, attester2, expiry } =
+        await loadFixture(deployVerifierFixture);
+
+      const { metadataHash, signatures } = await attest(verifier, [attester1, attester2], {
+        agent: agent.address,
+        expiry,
+      });
+      await verifier.submitAttestation(agent.address, metadataHash, expiry, signatures);
+      expect(await governance.verifiedUntil(agent.address)).to.equal(expiry);
+      expect(await governance.verificationExpiresAt(agent.address)).to.equal(expiry);
+
+      // A shorter TTL wins over the cap
+      await governance.updateVerificationTtl(DAY / 2);
+      const verifiedAt = (await governance.getAgent(agent.address)).verifiedAt;
+      expect(await governance.verificationExpiresAt(agent.address)).to.equal(verifiedAt + BigInt(DAY / 2));
+      await governance.updateVerificationTtl(0);
+
+      await time.increaseTo(expiry - 1);
+      expect(await governance.isVerificationValid(agent.address)).to.be.true;
+      await time.increaseTo(expiry);
+      expect(await governance.isVerificationValid(agent.address)).to.be.false;
+
+      // A capped verification can be renewed without a TTL, and a plain verification lifts the cap
+      await expect(governance.verifyAgentUntil(agent.address, expiry)).to.be.revertedWith("Invalid expiry");
+      await governance.verifyAgent(agent.address);
+      expect(await governance.verifiedUntil(agent.address)).to.equal(0);
+      expect(await governance.verificationExpiresAt(agent.address)).to.equal(0);
+      expect(await governance.isVerificationValid(agent.address)).to.be.true;
+    });
+
+    it("Should keep verifying agents once self-governed when registered", async function () {
+      const { governance, verifier, agent, attester1, attester2, relayer, expiry } =
+        await loadFixture(deployVerifierFixture);
+      const verifierAddress = await verifier.getAddress();
+
+      await expect(governance.setAttestationVerifier(relayer.address)).to.be.revertedWith("Invalid verifier");
+      await expect(governance.setAttestationVerifier(verifierAddress))
+        .to.emit(governance, "AttestationVerifierUpdated")
+        .withArgs(ethers.ZeroAddress, verifierAddress);
+      await governance.revokeRole(await governance.VERIFIER_ROLE(), verifierAddress);
+      await governance.enableSelfGovernance();
+      await expect(governance.setAttestationVerifier(ethers.ZeroAddress)).to.be.revertedWith("Only governance");
+
+      const { metadataHash, signatures } = await attest(verifier, [attester1, attester2], {
+        agent: agent.address,
+        expiry,
+      });
+      await expect(
+        verifier.connect(relayer).submitAttestation(agent.address, metadataHash, expiry, signatures)
+      )
+        .to.emit(governance, "AgentVerified")
+        .withArgs(agent.address, verifierAddress);
+
+      // The verification lapses with the attestation
+      await time.increaseTo(expiry);
+      expect(await governance.isVerificationValid(agent.address)).to.be.false;
+    });
+
+    it("Should stop role-only verifiers once self-governed", async function () {
+      const { governance, verifier, agent, attester1, attester2, expiry } = await loadFixture(deployVerifierFixture);
+
+      await governance.enableSelfGovernance();
+      const { metadataHash, signatures } = await attest(verifier, [attester1, attester2], {
+        agent: agent.address,
+        expiry,
+      });
+      await expect(
+        verifier.submitAttestation(agent.address, metadataHash, expiry, signatures)
+      ).to.be.revertedWith("Only governance");
+    });
+  });
+
+  // ============ Attester Management Tests ============
+
+  describe("Attester Management", function () {
+    it("Should add and remove attesters and update the threshold", async function () {
+      const { verifier, attester3, relayer } = await loadFixture(deployVerifierFixture);
+
+      await expect(verifier.addAttester(relayer.address))
+        .to.emit(verifier, "AttesterAdded")
+        .withArgs(relayer.address);
+      await expect(verifier.updateThreshold(3))
+        .to.emit(verifier, "ThresholdUpdated")
+        .withArgs(2, 3);
+      await expect(verifier.removeAttester(attester3.address))
+        .to.emit(verifier, "AttesterRemoved")
+        .withArgs(attester3.address);
+
+      expect(await verifier.attesterCount()).to.equal(3);
+      expect(await verifier.isAttester(attester3.address)).to.be.false;
+    });
+
+    it("Should keep the threshold reachable", async function () {
+      const { verifier, attester1, attester2 } = await loadFixture(deployVerifierFixture);
+
+      await expect(verifier.updateThreshold(0)).to.be.revertedWith("Invalid threshold");
+      await expect(verifier.updateThreshold(4)).to.be.revertedWith("Invalid threshold");
+
+      await verifier.removeAttester(attester1.address);
+      await expect(
+        verifier.removeAttester(attester2.address)
+      ).to.be.revertedWith("Threshold above attester count");
+    });
+
+    it("Should restrict attester management to verifiers", async function () {
+      const { governance, verifier, relayer } = await loadFixture(deployVerifierFixture);
+
+      await expect(
+        verifier.connect(relayer).addAttester(relayer.address)
+      ).to.be.revertedWith("Missing role");
+
+      await governance.enableSelfGovernance();
+      await expect(verifier.addAttester(relayer.address)).to.be.revertedWith("Only governance");
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadRegistry, decodeAction, decodeProposal, flagMajorities } = require("../scripts/decoder");
+
+const { ethers } = hre;
+
+describe("Decoder", function () {
+  // ============ Fixtures ============
+
+  async function deployDecoderFixture() {
+    const [owner, agent1, other] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.verifyAgent(agent1.address);
+
+    const AgentApplications = await ethers.getContractFactory("AgentApplications");
+    const applications = await AgentApplications.deploy(await governance.getAddress(), ethers.parseEther("1"));
+
+    const address = await governance.getAddress();
+    const registry = await loadRegistry(hre, address, [
+      { name: "AgentApplications", artifact: "AgentApplications", address: await applications.getAddress() },
+    ]);
+
+    return { governance, applications, address, registry, owner, agent1, other };
+  }
+
+  // Decode a call to the governance contract itself
+  function decodeSelfCall(registry, governance, name, args) {
+    return decodeAction(registry, {
+      target: governance.target,
+      value: 0n,
+      data: governance.interface.encodeFunctionData(name, args),
+    });
+  }
+
+  // ============ Rendering Tests ============
+
+  describe("Rendering", function () {
+    it("Should render self-calls with named arguments", async function () {
+      const { governance, registry, other } = await loadFixture(deployDecoderFixture);
+
+      const decoded = decodeSelfCall(registry, governance, "updateQuorum", [3000]);
+      expect(decoded.rendered).to.equal("QuorumGovernance.updateQuorum(newQuorumBasisPoints=3000)");
+      expect(decoded.function).to.equal("updateQuorum(uint256)");
+      expect(decoded.flags).to.deep.equal([]);
+
+      const role = decodeSelfCall(registry, governance, "revokeRole", [await governance.VERIFIER_ROLE(), other.address]);
+      expect(role.rendered).to.equal(`QuorumGovernance.revokeRole(role=VERIFIER_ROLE, account=${other.address})`);
+    });
+
+    it("Should name registered contracts and decode their calls", async function () {
+      const { applications, address, registry, agent1 } = await loadFixture(deployDecoderFixture);
+
+      const decoded = decodeAction(registry, {
+        target: applications.target,
+        value: 0n,
+        data: applications.interface.encodeFunctionData("approveApplication", [agent1.address, 80]),
+      });
+      expect(decoded.rendered).to.equal(
+        `AgentApplications.approveApplication(applicant=${agent1.address}, votingPower=80)`
+      );
+
+      const slash = decodeAction(registry, {
+        target: applications.target,
+        value: 0n,
+        data: applications.interface.encodeFunctionData("slashBond", [agent1.address, 5, ethers.ZeroHash]),
+      });
+      expect(slash.args.map((arg) => arg.name)).to.deep.equal(["agent", "amount", "evidenceHash"]);
+      expect(address).to.not.equal(applications.target);
+    });
+
+    it("Should render ETH transfers and calls on unknown contracts", async function () {
+      const { registry, other } = await loadFixture(deployDecoderFixture);
+
+      const transfer = decodeAction(registry, { target: other.address, value: ethers.parseEther("1.5"), data: "0x" });
+      expect(transfer.rendered).to.equal(`${other.address}.transfer{value: 1.5 ETH}()`);
+      expect(transfer.flags).to.deep.equal([{ severity: "warning", message: `Sends 1.5 ETH to ${other.address}` }]);
+
+      const token = new ethers.Interface(["function transfer(address to, uint256 amount)"]);
+      const erc20 = decodeAction(registry, {
+        target: other.address,
+        value: 0n,
+        data: token.encodeFunctionData("transfer", [other.address, 10]),
+      });
+      expect(erc20.rendered).to.equal(`${other.address}.transfer(to=${other.address}, amount=10)`);
+      expect(erc20.flags.map((flag) => flag.message)).to.deep.equal([
+        `Unknown target contract ${other.address}`,
+        "Decoded with the ERC20 ABI",
+      ]);
+    });
+  });
+
+  // ============ Risk Tests ============
+
+  describe("Risk Flags", function () {
+    it("Should flag unknown selectors", async function () {
+      const { address, registry } = await loadFixture(deployDecoderFixture);
+
+      const decoded = decodeAction(registry, { target: address, value: 0n, data: "0xdeadbeef00" });
+      expect(decoded.rendered).to.equal("QuorumGovernance.<unknown 0xdeadbeef>(0xdeadbeef00)");
+      expect(decoded.flags).to.deep.equal([
+        { severity: "danger", message: "Unknown selector 0xdeadbeef for QuorumGovernance" },
+      ]);
+    });
+
+    it("Should flag ownership, role and safeguard changes", async function () {
+      const { governance, applications, registry, other } = await loadFixture(deployDecoderFixture);
+      const messages = (name, args) =>
+        decodeSelfCall(registry, governance, name, args).flags.map((flag) => flag.message);
+
+      expect(messages("transferOwnership", [other.address])).to.deep.equal([
+        `Transfers ownership to ${other.address}`,
+      ]);
+      expect(messages("grantRole", [await governance.REGISTRAR_ROLE(), applications.target])).to.deep.equal([
+        `Grants REGISTRAR_ROLE to ${applications.target} (AgentApplications)`,
+      ]);
+      expect(messages("updateQuorum", [0])).to.deep.equal(["Sets quorum to 0: proposals can pass with no turnout"]);
+      expect(messages("updateTimelockDelay", [0])).to.deep.equal([
+        "Removes the timelock between queueing and execution",
+      ]);
+      expect(messages("setGuardian", [ethers.ZeroAddress])).to.deep.equal([
+        "Removes the guardian, disabling veto and emergency pause",
+      ]);
+      expect(messages("enableSelfGovernance", [])).to.have.lengthOf(1);
+      expect(messages("setCategoryRegistry", [applications.target])).to.deep.equal([
+        `Connects ${applications.target} (AgentApplications) to set category quorums, periods and allowed calls`,
+      ]);
+      expect(messages("setAttestationVerifier", [applications.target])).to.deep.equal([
+        `Lets ${applications.target} (AgentApplications) verify agents, even once self-governed`,
+      ]);
+      expect(messages("updateVerificationTtl", [0])).to.deep.equal(["Verifications no longer expire"]);
+      expect(messages("updateVerificationTtl", [86400])).to.deep.equal([
+        "Verifications expire 86400 seconds after they are granted, existing ones included",
+      ]);
+    });
+
+    it("Should flag categories without quorum or call restrictions", async function () {
+      const { address } = await loadFixture(deployDecoderFixture);
+      const ProposalCategoryRegistry = await ethers.getContractFactory("ProposalCategoryRegistry");
+      const categories = await ProposalCategoryRegistry.deploy(address);
+      const registry = await loadRegistry(hre, address, [
+        { name: "ProposalCategoryRegistry", artifact: "ProposalCategoryRegistry", address: categories.target },
+      ]);
+      const messages = (name, args) =>
+        decodeAction(registry, {
+          target: categories.target,
+          value: 0n,
+          data: categories.interface.encodeFunctionData(name, args),
+        }).flags.map((flag) => `${flag.severity}: ${flag.message}`);
+
+      expect(messages("createCategory", ["treasury", 6000, 1, 100, ethers.ZeroAddress, true])).to.deep.equal([]);
+      expect(messages("createCategory", ["open", 0, 1, 100, ethers.ZeroAddress, false])).to.deep.equal([
+        'danger: New category "open" gets quorum 0: its proposals can pass with no turnout',
+        'warning: New category "open" may call any target no category reserves',
+      ]);
+      expect(messages("updateCategory", [2, 6000, 1, 100, ethers.ZeroAddress, false])).to.deep.equal([
+        "danger: Category 2 loses any call restrictions it has",
+      ]);
+      expect(messages("updateCategory", [2, 0, 1, 100, ethers.ZeroAddress, true])).to.deep.equal([
+        "danger: Category 2 gets quorum 0: its proposals can pass with no turnout",
+      ]);
+
+      const selector = categories.interface.getFunction("createCategory").selector;
+      expect(messages("setActionAllowed", [1, categories.target, selector, true])).to.deep.equal([
+        `warning: Lets category 1 call createCategory(string,uint256,uint256,uint256,address,bool) on ` +
+          `${categories.target} (ProposalCategoryRegistry), reserving the target from unrestricted categories`,
+      ]);
+      expect(messages("setActionAllowed", [1, address, "0xdeadbeef", false])).to.deep.equal([
+        `warning: Stops category 1 calling 0xdeadbeef on ${address} (QuorumGovernance)`,
+      ]);
+    });
+
+    it("Should flag roster, verification and pause changes", async function () {
+      const { governance, registry, agent1, other } = await loadFixture(deployDecoderFixture);
+      const messages = (name, args) =>
+        decodeSelfCall(registry, governance, name, args).flags.map((flag) => `${flag.severity}: ${flag.message}`);
+
+      expect(messages("registerAgent", [other.address, 50, "ipfs://other"])).to.deep.equal([
+        `warning: Registers ${other.address} with 50 voting power`,
+      ]);
+      expect(messages("updateVotingPower", [agent1.address, 80])).to.deep.equal([
+        `warning: Sets the voting power of ${agent1.address} to 80`,
+      ]);
+      expect(messages("deactivateAgent", [agent1.address])).to.deep.equal([
+        `warning: Deactivates ${agent1.address}; power delegated to it goes back`,
+      ]);
+      expect(messages("revokeVerification", [agent1.address])).to.deep.equal([
+        `warning: Revokes the verification of ${agent1.address}; power delegated to it goes back`,
+      ]);
+      expect(messages("pause", [])).to.deep.equal(["danger: Halts proposing, voting and execution"]);
+      expect(messages("unpause", [])).to.deep.equal(["warning: Lifts the emergency pause"]);
+    });
+
+    it("Should flag voting power changes that hand one agent a majority", async function () {
+      const { governance, registry, agent1, other } = await loadFixture(deployDecoderFixture);
+      await governance.registerAgent(other.address, 100, "ipfs://other");
+      const majority = (action) => action.flags.filter((flag) => flag.severity === "danger").map((flag) => flag.message);
+
+      // agent1 and other hold 100 each; each action applies on top of the ones before it
+      const actions = await flagMajorities(governance, [
+        decodeSelfCall(registry, governance, "updateVotingPower", [agent1.address, 100]),
+        decodeSelfCall(registry, governance, "updateVotingPower", [agent1.address, 150]),
+        decodeSelfCall(registry, governance, "registerAgent", [ethers.Wallet.createRandom().address, 300, "ipfs://x"]),
+        decodeSelfCall(registry, governance, "updateVotingPower", [other.address, 500]),
+      ]);
+      expect(majority(actions[0])).to.deep.equal([]);
+      expect(majority(actions[1])).to.deep.equal([
+        `Leaves ${agent1.address} with a majority of the voting power (150 of 250)`,
+      ]);
+      expect(majority(actions[2])[0]).to.match(/with a majority of the voting power \(300 of 550\)$/);
+      expect(majority(actions[3])).to.deep.equal([
+        `Leaves ${other.address} with a majority of the voting power (500 of 950)`,
+      ]);
+    });
+
+    it("Should decode every action of a proposal", async function () {
+      const { governance, registry, agent1, other } = await loadFixture(deployDecoderFixture);
+
+      await governance.connect(agent1).createBatchProposal(
+        "Hand over",
+        [governance.target, other.address],
+        [0, 1],
+        [governance.interface.encodeFunctionData("transferOwnership", [other.address]), "0x"]
+      );
+
+      const actions = await decodeProposal(registry, governance, 1);
+      expect(actions.map((action) => action.rendered)).to.deep.equal([
+        `QuorumGovernance.transferOwnership(newOwner=${other.address})`,
+        `${other.address}.transfer{value: 0.000000000000000001 ETH}()`,
+      ]);
+      expect(actions[0].flags[0].severity).to.equal("danger");
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateDeployConfig, deployGovernance } = require("../scripts/deploy");
+const { readManifest, resolveAddress } = require("../scripts/deployments");
+
+describe("deploy", function () {
+  let deploymentsDir;
+
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  // ============ Configuration Tests ============
+
+  describe("Configuration", function () {
+    it("Should default and parse the deployment parameters", async function () {
+      expect(validateDeployConfig({})).to.deep.equal({
+        quorumBasisPoints: 4000,
+        votingPeriod: 50400,
+        votingDelay: 7200,
+      });
+      expect(
+        validateDeployConfig({ QUORUM_BASIS_POINTS: "10000", VOTING_PERIOD: "100", VOTING_DELAY: "0" })
+      ).to.deep.equal({ quorumBasisPoints: 10000, votingPeriod: 100, votingDelay: 0 });
+    });
+
+    it("Should report every invalid parameter", async function () {
+      expect(() =>
+        validateDeployConfig({ QUORUM_BASIS_POINTS: "10001", VOTING_PERIOD: "0", VOTING_DELAY: "1.5" })
+      ).to.throw(
+        [
+          "Invalid deployment configuration:",
+          '- QUORUM_BASIS_POINTS must be an integer from 0 to 10000, got "10001"',
+          '- VOTING_PERIOD must be an integer >= 1, got "0"',
+          '- VOTING_DELAY must be an integer >= 0, got "1.5"',
+        ].join("\n")
+      );
+    });
+  });
+
+  // ============ Manifest Tests ============
+
+  describe("Manifest", function () {
+    const config = { quorumBasisPoints: 4000, votingPeriod: 100, votingDelay: 1 };
+
+    it("Should record the deployment in the network's manifest", async function () {
+      const [deployer] = await hre.ethers.getSigners();
+
+      const { governance, deployment, reused } = await deployGovernance(config);
+      expect(reused).to.be.false;
+      expect(await governance.quorumBasisPoints()).to.equal(4000);
+
+      const manifest = readManifest(hre.network.name);
+      expect(manifest.chainId).to.equal(31337);
+      expect(manifest.contracts.QuorumGovernance).to.include({
+        address: await governance.getAddress(),
+        blockNumber: deployment.blockNumber,
+        deployer: deployer.address,
+      });
+      expect(manifest.contracts.QuorumGovernance.constructorArgs).to.deep.equal([4000, 100, 1]);
+      expect(await resolveAddress(hre)).to.equal(await governance.getAddress());
+    });
+
+    it("Should reuse a matching deployment and replace a different one", async function () {
+      const first = await deployGovernance(config);
+
+      const again = await deployGovernance(config);
+      expect(again.reused).to.be.true;
+      expect(again.deployment.address).to.equal(first.deployment.address);
+
+      const changed = await deployGovernance({ ...config, votingDelay: 2 });
+      expect(changed.reused).to.be.false;
+      expect(readManifest(hre.network.name).contracts.QuorumGovernance.address)
+        .to.equal(changed.deployment.address)
+        .and.not.equal(first.deployment.address);
+
+      const forced = await deployGovernance({ ...config, votingDelay: 2 }, { force: true });
+      expect(forced.deployment.address).to.not.equal(changed.deployment.address);
+    });
+
+    it("Should require a recorded deployment unless an address is given", async function () {
+      await expect(resolveAddress(hre)).to.be.rejectedWith(
+        "No QuorumGovernance deployment recorded for hardhat"
+      );
+    });
+  });
+});
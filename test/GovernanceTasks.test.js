@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { encodeAction, parseChoice } = require("../tasks/governance");
+
+const { ethers } = hre;
+
+describe("Governance tasks", function () {
+  // ============ Fixtures ============
+
+  async function deployTasksFixture() {
+    const [owner, agent1, agent2, agent3] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.registerAgent(agent3.address, 50, "ipfs://agent3");
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.deactivateAgent(agent3.address);
+
+    return { governance, address: await governance.getAddress(), owner, agent1, agent2, agent3 };
+  }
+
+  // Run a task against the fixture's contract with its console output silenced
+  async function run(name, address, args = {}) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, { governance: address, json: true, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  // ============ Helper Tests ============
+
+  describe("Helpers", function () {
+    it("Should encode human-readable actions", async function () {
+      const { governance, address } = await loadFixture(deployTasksFixture);
+
+      const action = encodeAction(ethers, address, {
+        target: "self",
+        signature: "updateQuorum(uint256)",
+        args: [3000],
+      });
+      expect(action).to.deep.equal({
+        target: address,
+        value: 0n,
+        data: governance.interface.encodeFunctionData("updateQuorum", [3000]),
+      });
+
+      expect(() => encodeAction(ethers, address, { target: "governance" })).to.throw('Invalid target "governance"');
+      expect(() =>
+        encodeAction(ethers, address, { target: "self", signature: "updateQuorum(uint256)", args: [] })
+      ).to.throw("updateQuorum(uint256) takes 1 argument(s), got 0");
+    });
+
+    it("Should parse vote choices by name or number", async function () {
+      expect(parseChoice("For")).to.equal(1);
+      expect(parseChoice("against")).to.equal(0);
+      expect(parseChoice("2")).to.equal(2);
+      expect(() => parseChoice("yes")).to.throw('Invalid choice "yes"');
+    });
+  });
+
+  // ============ Lifecycle Tests ============
+
+  describe("Proposal Lifecycle", function () {
+    it("Should propose, vote, queue and execute a self-call", async function () {
+      const { governance, address } = await loadFixture(deployTasksFixture);
+      await governance.grantRole(await governance.PARAMETER_ADMIN_ROLE(), address);
+
+      const created = await run("gov:propose", address, {
+        from: "1",
+        description: "Lower quorum",
+        target: "self",
+        signature: "updateQuorum(uint256)",
+        args: "[3000]",
+      });
+      expect(created.proposalId).to.equal(1n);
+
+      await time.advanceBlockTo(created.startBlock + 1n);
+      const vote = await run("gov:vote", address, { from: "1", id: 1, choice: "for", reason: "Too high" });
+      expect(vote.choice).to.equal("For");
+      expect(vote.votingPower).to.equal(100);
+      await run("gov:vote", address, { from: "2", id: 1, choice: "for" });
+
+      const active = await run("gov:status", address, { id: 1 });
+      expect(active.state).to.equal("Active");
+      expect(active.votes.for).to.equal(250);
+      expect(active.actions).to.have.lengthOf(1);
+      expect(active.actions[0]).to.include({
+        target: address,
+        data: governance.interface.encodeFunctionData("updateQuorum", [3000]),
+        call: "QuorumGovernance.updateQuorum(newQuorumBasisPoints=3000)",
+      });
+      expect(active.actions[0].flags).to.deep.equal([]);
+
+      await time.advanceBlockTo(created.endBlock + 1n);
+      const queued = await run("gov:execute", address, { id: 1 });
+      expect(queued.action).to.equal("queued");
+      await expect(run("gov:execute", address, { id: 1 })).to.be.rejectedWith("is timelocked until");
+
+      await time.increaseTo(queued.eta);
+      expect((await run("gov:execute", address, { id: 1 })).action).to.equal("executed");
+      expect(await governance.quorumBasisPoints()).to.equal(3000);
+      await expect(run("gov:execute", address, { id: 1 })).to.be.rejectedWith(
+        "Proposal 1 is Executed; only Succeeded or Queued proposals can move on"
+      );
+    });
+
+    it("Should create batch proposals and cancel them", async function () {
+      const { governance, address, agent1 } = await loadFixture(deployTasksFixture);
+
+      const actions = JSON.stringify([
+        { target: "self", signature: "updateVotingDelay(uint256)", args: [2] },
+        { target: agent1.address, value: "5" },
+      ]);
+      const created = await run("gov:propose", address, { from: "1", description: "Batch", actions });
+      expect(created.actions).to.have.lengthOf(2);
+
+      const [targets, values] = await governance.getActions(created.proposalId);
+      expect(targets).to.deep.equal([address, agent1.address]);
+      expect(values).to.deep.equal([0n, 5n]);
+
+      await run("gov:cancel", address, { from: "1", id: 1 });
+      expect((await run("gov:status", address, { id: 1 })).state).to.equal("Canceled");
+    });
+  });
+
+  // ============ Agent Tests ============
+
+  describe("Agents", function () {
+    it("Should list agents with their verification and votes", async function () {
+      const { address, agent1, agent3 } = await loadFixture(deployTasksFixture);
+
+      const all = await run("gov:agents", address);
+      expect(all.totalVotingPower).to.equal(250);
+      expect(all.agentsHoldingVerification).to.equal(2);
+      expect(all.agents).to.have.lengthOf(3);
+      expect(all.agents[0]).to.include({ address: agent1.address, active: true, verified: true, votes: 100n });
+      expect(all.agents[2]).to.include({ address: agent3.address, active: false, verified: false });
+
+      const active = await run("gov:agents", address, { activeOnly: true });
+      expect(active.agents.map((agent) => agent.address)).to.not.include(agent3.address);
+    });
+
+    it("Should page through the agent list", async function () {
+      const { address, agent2, agent3 } = await loadFixture(deployTasksFixture);
+
+      const first = await run("gov:agents", address, { limit: 2 });
+      expect(first.agentCount).to.equal(3);
+      expect(first.nextOffset).to.equal(2);
+      expect(first.agents).to.have.lengthOf(2);
+
+      const second = await run("gov:agents", address, { offset: first.nextOffset, limit: 2 });
+      expect(second.agents.map((agent) => agent.address)).to.deep.equal([agent3.address]);
+      expect(second.nextOffset).to.equal(3);
+
+      const activeWindow = await run("gov:agents", address, { offset: 1, limit: 2, activeOnly: true });
+      expect(activeWindow.agents.map((agent) => agent.address)).to.deep.equal([agent2.address]);
+
+      expect((await run("gov:agents", address, { offset: 10 })).agents).to.deep.equal([]);
+      await expect(run("gov:agents", address, { limit: 0 })).to.be.rejectedWith("--limit at least 1");
+    });
+  });
+});
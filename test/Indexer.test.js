@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { mine, takeSnapshot, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { JsonStore } = require("../indexer/store");
+const { GovernanceIndexer } = require("../indexer/indexer");
+const { createServer } = require("../indexer/server");
+const { buildViews } = require("../indexer/views");
+
+const { ethers } = hre;
+
+describe("Indexer", function () {
+  let dbFile;
+
+  beforeEach(function () {
+    dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "db.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(dbFile), { recursive: true, force: true });
+  });
+
+  // ============ Fixtures ============
+
+  async function deployIndexedFixture() {
+    const [owner, agent1, agent2, agent3] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+    const fromBlock = (await governance.deploymentTransaction().wait()).blockNumber;
+
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.registerAgent(agent3.address, 50, "ipfs://agent3");
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.updateVoteChangesAllowed(true);
+    await governance.updateQuorum(5000);
+
+    await governance.connect(agent1).createProposal("First", ethers.ZeroAddress, "0x");
+    await mine(1);
+    await governance.connect(agent1).castVoteWithReason(1, 1, "Looks good");
+    await governance.connect(agent2).castVote(1, 0);
+    await governance.connect(agent2).castVote(1, 2);
+
+    const { abi } = await hre.artifacts.readArtifact("QuorumGovernance");
+
+    return { governance, abi, fromBlock, owner, agent1, agent2, agent3 };
+  }
+
+  function createIndexer(governance, abi, fromBlock, store) {
+    return new GovernanceIndexer({
+      provider: ethers.provider,
+      address: governance.target,
+      abi,
+      store,
+      fromBlock,
+      batchSize: 5,
+    });
+  }
+
+  // ============ Indexing Tests ============
+
+  describe("Indexing", function () {
+    it("Should index proposals, votes, agents and parameter history", async function () {
+      const { governance, abi, fromBlock, agent1, agent2, agent3 } = await loadFixture(deployIndexedFixture);
+      const store = new JsonStore(dbFile);
+
+      const { toBlock, events } = await createIndexer(governance, abi, fromBlock, store).sync();
+      expect(toBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(events).to.equal(store.events.length);
+
+      const { proposals, votes, agents, parameters } = buildViews(store.events);
+      expect(proposals.get("1")).to.include({
+        proposer: agent1.address,
+        description: "First",
+        status: "Created",
+        forPower: "100",
+        againstPower: "0",
+        abstainPower: "150",
+        voterCount: 2,
+      });
+      expect(votes.map((vote) => [vote.voter, vote.choice, vote.reason, vote.changed])).to.deep.equal([
+        [agent1.address, "For", "Looks good", false],
+        [agent2.address, "Abstain", null, true],
+      ]);
+      expect(agents.get(agent2.address)).to.include({ votingPower: "150", active: true, verified: true });
+      expect(agents.get(agent3.address).verified).to.be.false;
+      expect(parameters.map((change) => change.event)).to.include.members([
+        "VoteChangesAllowedUpdated",
+        "QuorumUpdated",
+      ]);
+      expect(parameters.find((change) => change.event === "QuorumUpdated").args).to.deep.equal({
+        oldQuorum: "4000",
+        newQuorum: "5000",
+      });
+    });
+
+    it("Should resume from the saved checkpoint", async function () {
+      const { governance, abi, fromBlock } = await loadFixture(deployIndexedFixture);
+
+      await createIndexer(governance, abi, fromBlock, new JsonStore(dbFile)).sync();
+      const indexed = new JsonStore(dbFile).events.length;
+
+      await governance.updateQuorum(6000);
+      const resumed = new JsonStore(dbFile);
+      expect(resumed.checkpoint.number).to.be.greaterThan(fromBlock);
+
+      const { events } = await createIndexer(governance, abi, fromBlock, resumed).sync();
+      expect(events).to.equal(1);
+      expect(new JsonStore(dbFile).events).to.have.lengthOf(indexed + 1);
+    });
+
+    it("Should roll back events from reorged blocks", async function () {
+      const { governance, abi, fromBlock, agent1 } = await loadFixture(deployIndexedFixture);
+      const store = new JsonStore(dbFile);
+      const indexer = createIndexer(governance, abi, fromBlock, store);
+
+      const fork = await takeSnapshot();
+      await governance.connect(agent1).createProposal("Orphaned", ethers.ZeroAddress, "0x");
+      await governance.updateQuorum(7000);
+      await indexer.sync();
+      expect(buildViews(store.events).proposals.has("2")).to.be.true;
+
+      // Replace the indexed blocks with a different, longer branch
+      await fork.restore();
+      await governance.updateQuorum(6000);
+      await mine(3);
+
+      const { reorgedFrom, toBlock } = await indexer.sync();
+      expect(reorgedFrom).to.not.equal(null);
+      expect(toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      const { proposals, parameters } = buildViews(store.events);
+      expect(proposals.has("2")).to.be.false;
+      expect(parameters.filter((change) => change.event === "QuorumUpdated").map((change) => change.args.newQuorum))
+        .to.deep.equal(["5000", "6000"]);
+    });
+
+    it("Should refuse a database indexed from another contract", async function () {
+      const { governance, abi, fromBlock } = await loadFixture(deployIndexedFixture);
+      const store = new JsonStore(dbFile);
+      await createIndexer(governance, abi, fromBlock, store).sync();
+
+      const other = await (await ethers.getContractFactory("QuorumGovernance")).deploy(4000, 100, 1);
+      await expect(createIndexer(other, abi, fromBlock, store).sync()).to.be.rejectedWith("Database holds");
+    });
+  });
+
+  // ============ API Tests ============
+
+  describe("API", function () {
+    it("Should serve proposals, votes, agents and parameters as JSON", async function () {
+      const { governance, abi, fromBlock, agent1, agent2 } = await loadFixture(deployIndexedFixture);
+      const store = new JsonStore(dbFile);
+      await createIndexer(governance, abi, fromBlock, store).sync();
+
+      const server = createServer(store);
+      await new Promise((resolve) => server.listen(0, resolve));
+      const get = async (route) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`);
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        expect((await get("/status")).body).to.include({ address: governance.target, chainId: 31337 });
+
+        const proposal = (await get("/proposals/1")).body;
+        expect(proposal.description).to.equal("First");
+        expect(proposal.votes).to.have.lengthOf(2);
+
+        const byVoter = (await get(`/votes?voter=${agent2.address.toLowerCase()}`)).body;
+        expect(byVoter.map((vote) => vote.choice)).to.deep.equal(["Abstain"]);
+
+        const agent = (await get(`/agents/${agent1.address.toLowerCase()}`)).body;
+        expect(agent.address).to.equal(agent1.address);
+        expect(agent.votes.map((vote) => vote.proposalId)).to.deep.equal(["1"]);
+
+        const quorum = (await get("/parameters?event=QuorumUpdated")).body;
+        expect(quorum.map((change) => change.args.newQuorum)).to.deep.equal(["5000"]);
+
+        expect((await get("/proposals/9")).status).to.equal(404);
+        expect((await get("/nowhere")).status).to.equal(404);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("Should answer malformed paths and failing handlers instead of crashing", async function () {
+      // A store whose event list is unreadable makes every view handler throw
+      const logged = [];
+      const server = createServer({ state: {}, checkpoint: null, events: null, revision: 1 }, {
+        log: (message) => logged.push(message),
+      });
+      await new Promise((resolve) => server.listen(0, resolve));
+      const get = async (route) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`);
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        expect(await get("/proposals/%E0%A4%A")).to.deep.equal({ status: 400, body: { error: "Malformed URL" } });
+        expect(await get("/events")).to.deep.equal({ status: 500, body: { error: "Internal error" } });
+        expect(logged).to.have.lengthOf(1);
+        expect(logged[0]).to.match(/^\/events failed: /);
+        expect((await get("/nowhere")).status).to.equal(404);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
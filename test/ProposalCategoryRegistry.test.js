@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ProposalCategoryRegistry", function () {
+  // ============ Fixtures ============
+
+  async function deployRegistryFixture() {
+    const [owner, agent1, agent2, agent3, recipient] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.registerAgent(agent3.address, 50, "ipfs://agent3");
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.verifyAgent(agent3.address);
+
+    const ProposalCategoryRegistry = await ethers.getContractFactory("ProposalCategoryRegistry");
+    const registry = await ProposalCategoryRegistry.deploy(await governance.getAddress());
+    await governance.setCategoryRegistry(await registry.getAddress());
+
+    // 1: fast, unrestricted operations; 2: treasury, ETH transfers to `recipient` only, 90% quorum
+    await registry.createCategory("operations", 2000, 1, 20, ethers.ZeroAddress, false);
+    await registry.createCategory("treasury", 9000, 5, 200, ethers.ZeroAddress, true);
+    await registry.setActionAllowed(2, recipient.address, "0x00000000", true);
+
+    await owner.sendTransaction({ to: await governance.getAddress(), value: 1000 });
+
+    return { governance, registry, owner, agent1, agent2, agent3, recipient };
+  }
+
+  async function proposeInCategory(governance, proposer, categoryId, targets, values, calldatas) {
+    const proposalId = (await governance.proposalCount()) + 1n;
+    await governance.connect(proposer).createCategorizedProposal(
+      categoryId,
+      `Category ${categoryId} proposal`,
+      targets,
+      values,
+      calldatas
+    );
+    return proposalId;
+  }
+
+  async function voteAndQueue(governance, voters, proposalId) {
+    const proposal = await governance.proposals(proposalId);
+    await time.advanceBlockTo(proposal.startBlock + 1n);
+    for (const voter of voters) {
+      await governance.connect(voter).castVote(proposalId, 1);
+    }
+    await time.advanceBlockTo(proposal.endBlock + 1n);
+    await governance.queueProposal(proposalId);
+    await time.increaseTo((await governance.proposals(proposalId)).eta);
+  }
+
+  // ============ Administration Tests ============
+
+  describe("Administration", function () {
+    it("Should create categories with their parameters", async function () {
+      const { registry } = await loadFixture(deployRegistryFixture);
+
+      await expect(registry.createCategory("constitutional", 6000, 10, 500, ethers.ZeroAddress, true))
+        .to.emit(registry, "CategoryCreated")
+        .withArgs(3, "constitutional");
+
+      expect(await registry.categoryCount()).to.equal(3);
+      const category = await registry.categories(3);
+      expect(category.name).to.equal("constitutional");
+      expect(category.quorumBasisPoints).to.equal(6000);
+      expect(category.votingPeriod).to.equal(500);
+      expect(category.restrictActions).to.be.true;
+    });
+
+    it("Should validate category parameters", async function () {
+      const { registry, agent1 } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.createCategory("", 1000, 1, 10, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Empty name");
+      await expect(
+        registry.createCategory("x", 10001, 1, 10, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Quorum too high");
+      await expect(
+        registry.updateCategory(1, 1000, 1, 0, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Invalid voting period");
+      await expect(
+        registry.updateCategory(1, 1000, 1, 10, agent1.address, false)
+      ).to.be.revertedWith("Invalid strategy");
+      await expect(
+        registry.updateCategory(9, 1000, 1, 10, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Invalid category");
+    });
+
+    it("Should follow the governance contract's parameter admins", async function () {
+      const { governance, registry, agent1 } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        registry.connect(agent1).createCategory("rogue", 0, 0, 1, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Missing role");
+
+      await governance.enableSelfGovernance();
+      await expect(
+        registry.createCategory("late", 0, 0, 1, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Only governance");
+    });
+
+    it("Should connect the registry to governance only once", async function () {
+      const { governance, registry } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        governance.setCategoryRegistry(await registry.getAddress())
+      ).to.be.revertedWith("Registry already set");
+
+      const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+      const other = await QuorumGovernance.deploy(4000, 100, 1);
+      await expect(
+        other.setCategoryRegistry(await registry.getAddress())
+      ).to.be.revertedWith("Invalid registry");
+    });
+  });
+
+  // ============ Categorized Proposal Tests ============
+
+  describe("Categorized Proposals", function () {
+    it("Should use the category's voting delay and period", async function () {
+      const { governance, agent1, recipient } = await loadFixture(deployRegistryFixture);
+
+      const proposalId = await proposeInCategory(governance, agent1, 2, [recipient.address], [10], ["0x"]);
+      const createdAt = await time.latestBlock();
+
+      const proposal = await governance.proposals(proposalId);
+      expect(proposal.startBlock).to.equal(createdAt + 5);
+      expect(proposal.endBlock).to.equal(createdAt + 205);
+      expect(await governance.proposalCategory(proposalId)).to.equal(2);
+    });
+
+    it("Should apply the category's quorum", async function () {
+      const { governance, agent1, agent2, recipient } = await loadFixture(deployRegistryFixture);
+
+      // 250 of 300 votes is 83%, short of the treasury category's 90%
+      const proposalId = await proposeInCategory(governance, agent1, 2, [recipient.address], [10], ["0x"]);
+      const proposal = await governance.proposals(proposalId);
+      await time.advanceBlockTo(proposal.startBlock + 1n);
+      await governance.connect(agent1).castVote(proposalId, 1);
+      await governance.connect(agent2).castVote(proposalId, 1);
+      await time.advanceBlockTo(proposal.endBlock + 1n);
+
+      expect(await governance.hasReachedQuorum(proposalId)).to.be.false;
+      expect(await governance.getProposalState(proposalId)).to.equal(3); // Defeated
+    });
+
+    it("Should reject calls the category does not allow", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        proposeInCategory(governance, agent1, 2, [agent2.address], [10], ["0x"])
+      ).to.be.revertedWith("Action not allowed");
+
+      const selfCall = governance.interface.encodeFunctionData("updateQuorum", [0]);
+      await expect(
+        proposeInCategory(governance, agent1, 2, [await governance.getAddress()], [0], [selfCall])
+      ).to.be.revertedWith("Action not allowed");
+    });
+
+    it("Should keep the quorum a proposal was created with", async function () {
+      const { governance, registry, agent1, agent2, recipient } = await loadFixture(deployRegistryFixture);
+
+      const categorized = await proposeInCategory(governance, agent1, 2, [recipient.address], [10], ["0x"]);
+      const uncategorized = (await governance.proposalCount()) + 1n;
+      await governance.connect(agent1).createProposal("Signal", ethers.ZeroAddress, "0x");
+      expect(await governance.proposalQuorum(categorized)).to.equal(9000);
+      expect(await governance.proposalQuorum(uncategorized)).to.equal(4000);
+
+      await registry.updateCategory(2, 0, 5, 200, ethers.ZeroAddress, true);
+      await governance.updateQuorum(10000);
+
+      // 250 of 300 votes: short of the treasury 90%, past the original global 40%
+      const proposal = await governance.proposals(categorized);
+      await time.advanceBlockTo(proposal.startBlock + 1n);
+      for (const voter of [agent1, agent2]) {
+        await governance.connect(voter).castVote(categorized, 1);
+        await governance.connect(voter).castVote(uncategorized, 1);
+      }
+
+      expect(await governance.hasReachedQuorum(categorized)).to.be.false;
+      expect(await governance.hasReachedQuorum(uncategorized)).to.be.true;
+    });
+
+    it("Should keep other proposals from calling targets a category reserves", async function () {
+      const { governance, registry, agent1, agent2, recipient } = await loadFixture(deployRegistryFixture);
+
+      expect(await registry.targetClaims(recipient.address)).to.equal(1);
+      await expect(
+        governance.connect(agent1).createBatchProposal("Pay", [recipient.address], [10], ["0x"])
+      ).to.be.revertedWith("Action not allowed");
+      await expect(
+        governance.connect(agent1).createProposal("Pay", recipient.address, "0x")
+      ).to.be.revertedWith("Action not allowed");
+      await expect(
+        proposeInCategory(governance, agent1, 1, [recipient.address], [10], ["0x"])
+      ).to.be.revertedWith("Action not allowed");
+
+      // Unreserved targets stay open to uncategorized and unrestricted proposals
+      await governance.connect(agent1).createBatchProposal("Pay", [agent2.address], [10], ["0x"]);
+      await proposeInCategory(governance, agent2, 1, [agent2.address], [10], ["0x"]);
+
+      await registry.setActionAllowed(2, recipient.address, "0x00000000", false);
+      expect(await registry.targetClaims(recipient.address)).to.equal(0);
+      await proposeInCategory(governance, agent2, 1, [recipient.address], [10], ["0x"]);
+    });
+
+    it("Should execute allowed calls and recheck permissions at execution", async function () {
+      const { governance, registry, agent1, agent2, agent3, recipient } = await loadFixture(deployRegistryFixture);
+
+      const paid = await proposeInCategory(governance, agent1, 2, [recipient.address], [300], ["0x"]);
+      await voteAndQueue(governance, [agent1, agent2, agent3], paid);
+      await expect(governance.executeProposal(paid)).to.changeEtherBalance(recipient, 300);
+
+      const blocked = await proposeInCategory(governance, agent1, 2, [recipient.address], [300], ["0x"]);
+      await voteAndQueue(governance, [agent1, agent2, agent3], blocked);
+      await expect(registry.setActionAllowed(2, recipient.address, "0x00000000", false))
+        .to.emit(registry, "ActionPermissionUpdated")
+        .withArgs(2, recipient.address, "0x00000000", false);
+
+      await expect(governance.executeProposal(blocked)).to.be.revertedWith("Action not allowed");
+    });
+
+    it("Should reject unknown categories", async function () {
+      const { governance, agent1, recipient } = await loadFixture(deployRegistryFixture);
+
+      await expect(
+        proposeInCategory(governance, agent1, 7, [recipient.address], [0], ["0x"])
+      ).to.be.revertedWith("Invalid category");
+
+      const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+      const withoutCategories = await QuorumGovernance.deploy(4000, 100, 1);
+      await withoutCategories.registerAgent(agent1.address, 100, "ipfs://agent1");
+      await withoutCategories.verifyAgent(agent1.address);
+      await expect(
+        proposeInCategory(withoutCategories, agent1, 1, [recipient.address], [0], ["0x"])
+      ).to.be.revertedWith("Categories not enabled");
+    });
+  });
+});
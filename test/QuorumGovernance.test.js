@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { signVote, signDelegation } = require("../scripts/signatures");
 
 describe("QuorumGovernance", function () {
   // ============ Fixtures ============
@@ -67,6 +68,87 @@ describe("QuorumGovernance", function () {
     return { ...fixture, proposalId, target, value, callData, description };
   }
 
+  // Fixtures below follow the contract's constructor order (quorum, period, delay)
+  // and its createProposal(description, target, callData) signature.
+  
+  async function deployLiveGovernanceFixture() {
+    const [owner, agent1, agent2, agent3, nonAgent] = await ethers.getSigners();
+    
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+    
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.registerAgent(agent3.address, 50, "ipfs://agent3");
+    
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.verifyAgent(agent3.address);
+    
+    return { governance, owner, agent1, agent2, agent3, nonAgent };
+  }
+  
+  async function proposalIdFromTx(governance, tx) {
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(log => {
+      try {
+        return governance.interface.parseLog(log).name === "ProposalCreated";
+      } catch {
+        return false;
+      }
+    });
+    return governance.interface.parseLog(event).args.proposalId;
+  }
+  
+  async function deployWithLiveProposalFixture() {
+    const fixture = await deployLiveGovernanceFixture();
+    const { governance, agent1 } = fixture;
+    
+    const tx = await governance.connect(agent1).createProposal(
+      "Live Proposal #1",
+      ethers.ZeroAddress,
+      "0x"
+    );
+    const proposalId = await proposalIdFromTx(governance, tx);
+    
+    // Move past the snapshot (start) block so voting is open
+    const proposal = await governance.proposals(proposalId);
+    await time.advanceBlockTo(proposal.startBlock + 1n);
+    
+    return { ...fixture, proposalId };
+  }
+  
+  // Vote a live proposal through, queue it and wait out the timelock
+  async function passAndQueue(governance, voters, proposalId) {
+    const proposal = await governance.proposals(proposalId);
+    await time.advanceBlockTo(proposal.startBlock + 1n);
+    
+    for (const voter of voters) {
+      await governance.connect(voter).castVote(proposalId, 1);
+    }
+    
+    await time.advanceBlockTo(proposal.endBlock + 1n);
+    await governance.queueProposal(proposalId);
+    await time.increaseTo((await governance.proposals(proposalId)).eta);
+  }
+  
+  async function deployWithSucceededProposalFixture() {
+    const fixture = await deployWithLiveProposalFixture();
+    const { governance, agent1, agent2, proposalId } = fixture;
+    
+    await governance.connect(agent1).castVote(proposalId, 1);
+    await governance.connect(agent2).castVote(proposalId, 1);
+    
+    const proposal = await governance.proposals(proposalId);
+    await time.advanceBlockTo(proposal.endBlock + 1n);
+    
+    return fixture;
+  }
+
   // ============ Deployment Tests ============
   
   describe("Deployment", function () {
@@ -839,4 +921,1378 @@ describe("QuorumGovernance", function () {
       expect(await governance.proposals(3)).to.have.property("againstVotes", 50n);
     });
   });
+
+  // ============ Voting Power Snapshots ============
+  
+  describe("Voting Power Snapshots", function () {
+    it("Should record past voting power per agent and in total", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const before = await time.latestBlock();
+      await governance.updateVotingPower(agent1.address, 400);
+      await time.advanceBlock();
+      
+      expect(await governance.getPastVotes(agent1.address, before)).to.equal(100);
+      expect(await governance.getPastTotalVotingPower(before)).to.equal(300);
+      
+      const after = (await time.latestBlock()) - 1;
+      expect(await governance.getPastVotes(agent1.address, after)).to.equal(400);
+      expect(await governance.getPastTotalVotingPower(after)).to.equal(600);
+    });
+
+    it("Should report zero past votes for a deactivated agent", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.deactivateAgent(agent1.address);
+      await time.advanceBlock();
+      
+      const block = (await time.latestBlock()) - 1;
+      expect(await governance.getPastVotes(agent1.address, block)).to.equal(0);
+      expect(await governance.getPastTotalVotingPower(block)).to.equal(200);
+    });
+
+    it("Should revert lookups for the current block", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const current = (await time.latestBlock()) + 1;
+      await expect(
+        governance.getPastVotes(agent1.address, current)
+      ).to.be.revertedWith("Block not yet mined");
+      await expect(
+        governance.getPastTotalVotingPower(current)
+      ).to.be.revertedWith("Block not yet mined");
+    });
+
+    it("Should weight votes by power at the proposal start block", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.updateVotingPower(agent1.address, 1000);
+      
+      await expect(governance.connect(agent1).castVote(proposalId, 1))
+        .to.emit(governance, "VoteCast")
+        .withArgs(agent1.address, proposalId, 1, 100);
+    });
+
+    it("Should reject votes from agents registered after the snapshot", async function () {
+      const { governance, nonAgent, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.registerAgent(nonAgent.address, 500, "ipfs://late");
+      await governance.verifyAgent(nonAgent.address);
+      
+      await expect(
+        governance.connect(nonAgent).castVote(proposalId, 1)
+      ).to.be.revertedWith("No voting power at snapshot");
+    });
+
+    it("Should keep quorum fixed when total power changes mid-vote", async function () {
+      const { governance, agent1, agent2, nonAgent, proposalId } = 
+        await loadFixture(deployWithLiveProposalFixture);
+      
+      // 150 of 300 snapshot power votes For: quorum (120) met
+      await governance.connect(agent2).castVote(proposalId, 1);
+      
+      // Inflating live total power must not push the proposal below quorum
+      await governance.registerAgent(nonAgent.address, 10000, "ipfs://whale");
+      await governance.updateVotingPower(agent1.address, 5000);
+      
+      expect(await governance.hasReachedQuorum(proposalId)).to.be.true;
+      
+      const proposal = await governance.proposals(proposalId);
+      await time.advanceBlockTo(proposal.endBlock + 1n);
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(4); // Succeeded
+    });
+
+    it("Should keep a deactivated agent's snapshot vote valid for quorum", async function () {
+      const { governance, agent2, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.connect(agent2).castVote(proposalId, 1);
+      await governance.deactivateAgent(agent2.address);
+      
+      const proposal = await governance.proposals(proposalId);
+      await time.advanceBlockTo(proposal.endBlock + 1n);
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(4); // Succeeded
+    });
+  });
+
+  // ============ Timelock Tests ============
+  
+  describe("Timelock Queue", function () {
+    it("Should queue a succeeded proposal with an ETA", async function () {
+      const { governance, proposalId } = await loadFixture(deployWithSucceededProposalFixture);
+      
+      const delay = await governance.timelockDelay();
+      const tx = await governance.queueProposal(proposalId);
+      const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      const eta = BigInt(block.timestamp) + delay;
+      
+      await expect(tx).to.emit(governance, "ProposalQueued").withArgs(proposalId, eta);
+      expect((await governance.proposals(proposalId)).eta).to.equal(eta);
+      expect(await governance.getProposalState(proposalId)).to.equal(5); // Queued
+    });
+
+    it("Should revert when queueing a non-succeeded proposal", async function () {
+      const { governance, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await expect(
+        governance.queueProposal(proposalId)
+      ).to.be.revertedWith("Proposal not succeeded");
+    });
+
+    it("Should revert when executing before queueing", async function () {
+      const { governance, proposalId } = await loadFixture(deployWithSucceededProposalFixture);
+      
+      await expect(
+        governance.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should revert when executing before the ETA", async function () {
+      const { governance, proposalId } = await loadFixture(deployWithSucceededProposalFixture);
+      
+      await governance.queueProposal(proposalId);
+      
+      await expect(
+        governance.executeProposal(proposalId)
+      ).to.be.revertedWith("Timelock not expired");
+    });
+
+    it("Should execute between the ETA and the grace period deadline", async function () {
+      const { governance, proposalId } = await loadFixture(deployWithSucceededProposalFixture);
+      
+      await governance.queueProposal(proposalId);
+      await time.increaseTo((await governance.proposals(proposalId)).eta);
+      
+      await expect(governance.executeProposal(proposalId))
+        .to.emit(governance, "ProposalExecuted")
+        .withArgs(proposalId);
+      expect(await governance.getProposalState(proposalId)).to.equal(7); // Executed
+    });
+
+    it("Should expire after the grace period", async function () {
+      const { governance, proposalId } = await loadFixture(deployWithSucceededProposalFixture);
+      
+      await governance.queueProposal(proposalId);
+      const eta = (await governance.proposals(proposalId)).eta;
+      await time.increaseTo(eta + (await governance.GRACE_PERIOD()));
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(6); // Expired
+      await expect(
+        governance.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should update the timelock delay", async function () {
+      const { governance } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.updateTimelockDelay(3600))
+        .to.emit(governance, "TimelockDelayUpdated")
+        .withArgs(2 * 24 * 3600, 3600);
+      
+      await expect(
+        governance.updateTimelockDelay(31 * 24 * 3600)
+      ).to.be.revertedWith("Timelock delay too long");
+    });
+  });
+
+  // ============ Multi-Action Proposal Tests ============
+  
+  describe("Multi-Action Proposals", function () {
+    it("Should store actions for a batch proposal", async function () {
+      const { governance, agent1, agent3, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const selfCall = governance.interface.encodeFunctionData("proposalCount");
+      const tx = await governance.connect(agent1).createBatchProposal(
+        "Pay two recipients",
+        [agent3.address, nonAgent.address, await governance.getAddress()],
+        [100, 200, 0],
+        ["0x", "0x", selfCall]
+      );
+      const proposalId = await proposalIdFromTx(governance, tx);
+      
+      const [targets, values, calldatas] = await governance.getActions(proposalId);
+      expect(targets).to.deep.equal([agent3.address, nonAgent.address, await governance.getAddress()]);
+      expect(values).to.deep.equal([100n, 200n, 0n]);
+      expect(calldatas).to.deep.equal(["0x", "0x", selfCall]);
+    });
+
+    it("Should expose the single-call form as one action", async function () {
+      const { governance, agent1, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const tx = await governance.connect(agent1).createProposal("Single", agent3.address, "0x1234");
+      const proposalId = await proposalIdFromTx(governance, tx);
+      
+      const [targets, values, calldatas] = await governance.getActions(proposalId);
+      expect(targets).to.deep.equal([agent3.address]);
+      expect(values).to.deep.equal([0n]);
+      expect(calldatas).to.deep.equal(["0x1234"]);
+    });
+
+    it("Should revert on mismatched or empty action arrays", async function () {
+      const { governance, agent1, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(
+        governance.connect(agent1).createBatchProposal("Bad", [agent3.address], [0, 1], ["0x"])
+      ).to.be.revertedWith("Proposal length mismatch");
+      await expect(
+        governance.connect(agent1).createBatchProposal("Empty", [], [], [])
+      ).to.be.revertedWith("Empty proposal");
+      await expect(
+        governance.connect(agent1).createBatchProposal("Zero", [ethers.ZeroAddress], [0], ["0x"])
+      ).to.be.revertedWith("Invalid target");
+    });
+
+    it("Should accept ETH and transfer it on execution", async function () {
+      const { governance, owner, agent1, agent2, agent3, nonAgent } = 
+        await loadFixture(deployLiveGovernanceFixture);
+      
+      await owner.sendTransaction({ to: await governance.getAddress(), value: 1000 });
+      
+      const tx = await governance.connect(agent1).createBatchProposal(
+        "Treasury payout",
+        [agent3.address, nonAgent.address],
+        [300, 700],
+        ["0x", "0x"]
+      );
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await passAndQueue(governance, [agent1, agent2], proposalId);
+      
+      await expect(governance.executeProposal(proposalId)).to.changeEtherBalances(
+        [governance, agent3, nonAgent],
+        [-1000, 300, 700]
+      );
+    });
+
+    it("Should revert all actions when one call fails", async function () {
+      const { governance, owner, agent1, agent2, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await owner.sendTransaction({ to: await governance.getAddress(), value: 1000 });
+      
+      // updateQuorum is owner-only, so the self-call fails
+      const failingCall = governance.interface.encodeFunctionData("updateQuorum", [5000]);
+      const tx = await governance.connect(agent1).createBatchProposal(
+        "Partially failing",
+        [agent3.address, await governance.getAddress()],
+        [500, 0],
+        ["0x", failingCall]
+      );
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await passAndQueue(governance, [agent1, agent2], proposalId);
+      
+      await expect(
+        governance.executeProposal(proposalId)
+      ).to.be.revertedWith("Execution failed");
+      expect(await ethers.provider.getBalance(await governance.getAddress())).to.equal(1000);
+    });
+  });
+
+  // ============ Delegation Tests ============
+  
+  describe("Delegation", function () {
+    it("Should move voting weight to the delegate", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.connect(agent1).delegate(agent2.address))
+        .to.emit(governance, "DelegateChanged")
+        .withArgs(agent1.address, agent1.address, agent2.address)
+        .and.to.emit(governance, "DelegateVotesChanged")
+        .withArgs(agent2.address, 150, 250);
+      
+      expect(await governance.delegates(agent1.address)).to.equal(agent2.address);
+      expect(await governance.getVotes(agent1.address)).to.equal(0);
+      expect(await governance.getVotes(agent2.address)).to.equal(250);
+      expect(await governance.totalVotingPower()).to.equal(300);
+    });
+
+    it("Should let the delegate vote with the combined weight", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      const tx = await governance.connect(agent1).createProposal("Delegated", ethers.ZeroAddress, "0x");
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await time.advanceBlockTo((await governance.proposals(proposalId)).startBlock + 1n);
+      
+      await expect(governance.connect(agent2).castVote(proposalId, 1))
+        .to.emit(governance, "VoteCast")
+        .withArgs(agent2.address, proposalId, 1, 250);
+      await expect(
+        governance.connect(agent1).castVote(proposalId, 1)
+      ).to.be.revertedWith("No voting power at snapshot");
+    });
+
+    it("Should track power changes of a delegator on the delegate", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await governance.updateVotingPower(agent1.address, 40);
+      expect(await governance.getVotes(agent2.address)).to.equal(190);
+      
+      await governance.deactivateAgent(agent1.address);
+      expect(await governance.getVotes(agent2.address)).to.equal(150);
+      expect(await governance.delegates(agent1.address)).to.equal(agent1.address);
+      expect(await governance.delegatorCount(agent2.address)).to.equal(0);
+    });
+
+    it("Should return weight when delegating back to self", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await governance.connect(agent1).delegate(agent1.address);
+      
+      expect(await governance.getVotes(agent1.address)).to.equal(100);
+      expect(await governance.getVotes(agent2.address)).to.equal(150);
+    });
+
+    it("Should prevent delegation chains and loops", async function () {
+      const { governance, agent1, agent2, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      
+      await expect(
+        governance.connect(agent2).delegate(agent1.address)
+      ).to.be.revertedWith("Delegatee has delegated");
+      await expect(
+        governance.connect(agent2).delegate(agent3.address)
+      ).to.be.revertedWith("Delegator holds delegations");
+      await expect(
+        governance.connect(agent1).delegate(agent2.address)
+      ).to.be.revertedWith("Already delegated");
+    });
+
+    it("Should reject unverified or deactivated delegates", async function () {
+      const { governance, agent1, agent3, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.registerAgent(nonAgent.address, 10, "ipfs://unverified");
+      await expect(
+        governance.connect(agent1).delegate(nonAgent.address)
+      ).to.be.revertedWith("Delegatee not verified");
+      
+      await governance.deactivateAgent(agent3.address);
+      await expect(
+        governance.connect(agent1).delegate(agent3.address)
+      ).to.be.revertedWith("Delegatee not active");
+    });
+
+    it("Should hand delegated power back when the delegate is deactivated", async function () {
+      const { governance, agent1, agent2, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await governance.connect(agent3).delegate(agent2.address);
+      
+      await expect(governance.deactivateAgent(agent2.address))
+        .to.emit(governance, "DelegateChanged")
+        .withArgs(agent1.address, agent2.address, agent1.address);
+      
+      expect(await governance.delegates(agent1.address)).to.equal(agent1.address);
+      expect(await governance.delegates(agent3.address)).to.equal(agent3.address);
+      expect(await governance.delegatorCount(agent2.address)).to.equal(0);
+      expect(await governance.getVotes(agent1.address)).to.equal(100);
+      expect(await governance.getVotes(agent3.address)).to.equal(50);
+      expect(await governance.getVotes(agent2.address)).to.equal(0);
+      expect(await governance.totalVotingPower()).to.equal(150);
+      
+      // The returned power votes again, so it no longer just raises the quorum bar
+      const tx = await governance.connect(agent1).createProposal("After deactivation", ethers.ZeroAddress, "0x");
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await time.advanceBlockTo((await governance.proposals(proposalId)).startBlock + 1n);
+      await expect(governance.connect(agent1).castVote(proposalId, 1))
+        .to.emit(governance, "VoteCast")
+        .withArgs(agent1.address, proposalId, 1, 100);
+      expect(await governance.hasReachedQuorum(proposalId)).to.be.true;
+    });
+
+    it("Should hand delegated power back when the delegate's verification is revoked", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await governance.revokeVerification(agent2.address);
+      
+      expect(await governance.delegates(agent1.address)).to.equal(agent1.address);
+      expect(await governance.getVotes(agent1.address)).to.equal(100);
+      expect(await governance.getVotes(agent2.address)).to.equal(150);
+    });
+
+    it("Should clear the delegation of an agent whose verification is revoked", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await governance.revokeVerification(agent1.address);
+      
+      expect(await governance.delegates(agent1.address)).to.equal(agent1.address);
+      expect(await governance.getVotes(agent2.address)).to.equal(150);
+      expect(await governance.getVotes(agent1.address)).to.equal(100);
+    });
+
+    it("Should let anyone hand back power delegated to an expired delegate", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await expect(
+        governance.connect(nonAgent).returnDelegations(agent2.address)
+      ).to.be.revertedWith("Delegate still verified");
+      
+      // The delegator renews its verification; the delegate lets its own lapse
+      await governance.updateVerificationTtl(time.duration.days(30));
+      await time.increase(time.duration.days(20));
+      await governance.verifyAgent(agent1.address);
+      await time.increase(time.duration.days(15));
+      expect(await governance.isVerificationValid(agent2.address)).to.be.false;
+      
+      await expect(governance.connect(nonAgent).returnDelegations(agent2.address))
+        .to.emit(governance, "DelegateVotesChanged")
+        .withArgs(agent2.address, 250, 150);
+      expect(await governance.getVotes(agent1.address)).to.equal(100);
+      await expect(
+        governance.connect(nonAgent).returnDelegations(agent2.address)
+      ).to.be.revertedWith("No delegations");
+    });
+
+    it("Should let anyone clear the delegation of an expired delegator", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.connect(agent1).delegate(agent2.address);
+      await expect(
+        governance.connect(nonAgent).returnDelegations(agent1.address)
+      ).to.be.revertedWith("Delegate still verified");
+      
+      // The delegate renews its verification; the delegator lets its own lapse
+      await governance.updateVerificationTtl(time.duration.days(30));
+      await time.increase(time.duration.days(20));
+      await governance.verifyAgent(agent2.address);
+      await time.increase(time.duration.days(15));
+      expect(await governance.isVerificationValid(agent1.address)).to.be.false;
+      
+      await expect(governance.connect(nonAgent).returnDelegations(agent1.address))
+        .to.emit(governance, "DelegateChanged")
+        .withArgs(agent1.address, agent2.address, agent1.address);
+      expect(await governance.getVotes(agent2.address)).to.equal(150);
+      await expect(
+        governance.connect(nonAgent).returnDelegations(agent1.address)
+      ).to.be.revertedWith("No delegations");
+    });
+
+    it("Should delegate by signature", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const deadline = (await time.latest()) + 3600;
+      const { signature } = await signDelegation(agent1, governance, {
+        delegatee: agent2.address,
+        nonce: 0,
+        deadline,
+      });
+      
+      await expect(
+        governance.connect(nonAgent).delegateBySig(agent1.address, agent2.address, 0, deadline, signature)
+      ).to.emit(governance, "DelegateChanged")
+        .withArgs(agent1.address, agent1.address, agent2.address);
+      expect(await governance.nonces(agent1.address)).to.equal(1);
+      
+      await expect(
+        governance.delegateBySig(agent1.address, agent2.address, 0, deadline, signature)
+      ).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject expired or mismatched delegation signatures", async function () {
+      const { governance, agent1, agent2, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const expired = (await time.latest()) - 1;
+      const { signature: expiredSig } = await signDelegation(agent1, governance, {
+        delegatee: agent2.address,
+        nonce: 0,
+        deadline: expired,
+      });
+      await expect(
+        governance.delegateBySig(agent1.address, agent2.address, 0, expired, expiredSig)
+      ).to.be.revertedWith("Signature expired");
+      
+      const deadline = (await time.latest()) + 3600;
+      const { signature } = await signDelegation(agent1, governance, {
+        delegatee: agent2.address,
+        nonce: 0,
+        deadline,
+      });
+      await expect(
+        governance.delegateBySig(agent1.address, agent3.address, 0, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  // ============ Signature Voting Tests ============
+  
+  describe("Voting by Signature", function () {
+    it("Should count a relayed vote for the signer", async function () {
+      const { governance, agent1, nonAgent, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const ballot = await signVote(agent1, governance, { proposalId, choice: 1 });
+      
+      await expect(
+        governance.connect(nonAgent).castVoteBySig(
+          ballot.proposalId, ballot.choice, ballot.voter, ballot.nonce, ballot.deadline, ballot.signature
+        )
+      ).to.emit(governance, "VoteCast")
+        .withArgs(agent1.address, proposalId, 1, 100);
+      
+      expect(await governance.hasVoted(proposalId, agent1.address)).to.be.true;
+      expect(await governance.nonces(agent1.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const ballot = await signVote(agent1, governance, { proposalId, choice: 1 });
+      const args = [ballot.proposalId, ballot.choice, ballot.voter, ballot.nonce, ballot.deadline, ballot.signature];
+      await governance.castVoteBySig(...args);
+      
+      await expect(governance.castVoteBySig(...args)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject a tampered ballot", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const ballot = await signVote(agent1, governance, { proposalId, choice: 1 });
+      
+      await expect(
+        governance.castVoteBySig(
+          ballot.proposalId, 0, ballot.voter, ballot.nonce, ballot.deadline, ballot.signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const deadline = (await time.latest()) - 1;
+      const ballot = await signVote(agent1, governance, { proposalId, choice: 1, deadline });
+      
+      await expect(
+        governance.castVoteBySig(
+          ballot.proposalId, ballot.choice, ballot.voter, ballot.nonce, ballot.deadline, ballot.signature
+        )
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("Should apply agent checks to the signer", async function () {
+      const { governance, agent1, nonAgent, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const outsider = await signVote(nonAgent, governance, { proposalId, choice: 1 });
+      await expect(
+        governance.castVoteBySig(
+          outsider.proposalId, outsider.choice, outsider.voter, outsider.nonce, outsider.deadline, outsider.signature
+        )
+      ).to.be.revertedWith("Agent not active");
+      
+      await governance.deactivateAgent(agent1.address);
+      const ballot = await signVote(agent1, governance, { proposalId, choice: 1 });
+      await expect(
+        governance.castVoteBySig(
+          ballot.proposalId, ballot.choice, ballot.voter, ballot.nonce, ballot.deadline, ballot.signature
+        )
+      ).to.be.revertedWith("Agent not active");
+    });
+  });
+
+  // ============ Vote Reason Tests ============
+  
+  describe("Vote Reasons", function () {
+    it("Should emit the reason alongside the vote", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const tx = governance.connect(agent1).castVoteWithReason(proposalId, 1, "Improves reliability");
+      
+      await expect(tx)
+        .to.emit(governance, "VoteCast")
+        .withArgs(agent1.address, proposalId, 1, 100);
+      await expect(tx)
+        .to.emit(governance, "VoteCastWithReason")
+        .withArgs(agent1.address, proposalId, 1, 100, "Improves reliability", "0x");
+    });
+
+    it("Should emit attached params as evidence", async function () {
+      const { governance, agent2, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      const params = ethers.toUtf8Bytes("ipfs://bafy-model-output");
+      
+      await expect(
+        governance.connect(agent2).castVoteWithReasonAndParams(proposalId, 0, "Risk too high", params)
+      ).to.emit(governance, "VoteCastWithReason")
+        .withArgs(agent2.address, proposalId, 0, 150, "Risk too high", ethers.hexlify(params));
+      
+      expect((await governance.proposals(proposalId)).againstVotes).to.equal(150);
+    });
+
+    it("Should apply the usual voting checks", async function () {
+      const { governance, agent1, nonAgent, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.connect(agent1).castVoteWithReason(proposalId, 1, "First");
+      await expect(
+        governance.connect(agent1).castVoteWithReason(proposalId, 1, "Second")
+      ).to.be.revertedWith("Already voted");
+      await expect(
+        governance.connect(nonAgent).castVoteWithReason(proposalId, 1, "Outsider")
+      ).to.be.revertedWith("Agent not active");
+    });
+  });
+
+  // ============ Access Control Tests ============
+  
+  describe("Access Control", function () {
+    it("Should grant every role to the deployer", async function () {
+      const { governance, owner } = await loadFixture(deployLiveGovernanceFixture);
+      
+      for (const role of ["REGISTRAR_ROLE", "VERIFIER_ROLE", "PARAMETER_ADMIN_ROLE", "CANCELLER_ROLE"]) {
+        expect(await governance.hasRole(await governance[role](), owner.address)).to.be.true;
+      }
+    });
+
+    it("Should let a registrar and verifier onboard agents without parameter rights", async function () {
+      const { governance, owner, agent3, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      const onboarding = agent3;
+      await expect(governance.grantRole(await governance.REGISTRAR_ROLE(), onboarding.address))
+        .to.emit(governance, "RoleGranted")
+        .withArgs(await governance.REGISTRAR_ROLE(), onboarding.address, owner.address);
+      await governance.grantRole(await governance.VERIFIER_ROLE(), onboarding.address);
+      
+      await governance.connect(onboarding).registerAgent(nonAgent.address, 10, "ipfs://new");
+      await governance.connect(onboarding).verifyAgent(nonAgent.address);
+      expect((await governance.agents(nonAgent.address)).isVerified).to.be.true;
+      
+      await expect(
+        governance.connect(onboarding).updateQuorum(0)
+      ).to.be.revertedWith("Missing role");
+    });
+
+    it("Should revoke and renounce roles", async function () {
+      const { governance, owner, agent1, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      const registrar = await governance.REGISTRAR_ROLE();
+      
+      await governance.grantRole(registrar, agent1.address);
+      await expect(governance.revokeRole(registrar, agent1.address))
+        .to.emit(governance, "RoleRevoked")
+        .withArgs(registrar, agent1.address, owner.address);
+      await expect(
+        governance.connect(agent1).registerAgent(nonAgent.address, 10, "ipfs://x")
+      ).to.be.revertedWith("Missing role");
+      
+      await governance.renounceRole(registrar);
+      expect(await governance.hasRole(registrar, owner.address)).to.be.false;
+      await expect(
+        governance.registerAgent(nonAgent.address, 10, "ipfs://x")
+      ).to.be.revertedWith("Missing role");
+    });
+
+    it("Should restrict role administration to the owner", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(
+        governance.connect(agent1).grantRole(await governance.VERIFIER_ROLE(), agent1.address)
+      ).to.be.revertedWith("Only owner");
+    });
+
+    it("Should let a canceller cancel someone else's proposal", async function () {
+      const { governance, agent2, agent3, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await expect(
+        governance.connect(agent3).cancelProposal(proposalId)
+      ).to.be.revertedWith("Not authorized");
+      
+      await governance.grantRole(await governance.CANCELLER_ROLE(), agent2.address);
+      await expect(governance.connect(agent2).cancelProposal(proposalId))
+        .to.emit(governance, "ProposalCanceled")
+        .withArgs(proposalId);
+    });
+  });
+
+  // ============ Ownership Tests ============
+  
+  describe("Ownership", function () {
+    it("Should transfer ownership only after acceptance", async function () {
+      const { governance, owner, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.transferOwnership(agent1.address))
+        .to.emit(governance, "OwnershipTransferStarted")
+        .withArgs(owner.address, agent1.address);
+      expect(await governance.owner()).to.equal(owner.address);
+      expect(await governance.pendingOwner()).to.equal(agent1.address);
+      
+      await expect(governance.connect(agent1).acceptOwnership())
+        .to.emit(governance, "OwnershipTransferred")
+        .withArgs(owner.address, agent1.address);
+      expect(await governance.owner()).to.equal(agent1.address);
+      expect(await governance.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should reject acceptance by anyone but the pending owner", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.transferOwnership(agent1.address);
+      
+      await expect(
+        governance.connect(agent2).acceptOwnership()
+      ).to.be.revertedWith("Not pending owner");
+    });
+
+    it("Should cancel a pending transfer", async function () {
+      const { governance, owner, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.transferOwnership(agent1.address);
+      await expect(governance.cancelOwnershipTransfer())
+        .to.emit(governance, "OwnershipTransferCanceled")
+        .withArgs(owner.address, agent1.address);
+      
+      await expect(
+        governance.connect(agent1).acceptOwnership()
+      ).to.be.revertedWith("Not pending owner");
+      await expect(
+        governance.cancelOwnershipTransfer()
+      ).to.be.revertedWith("No pending transfer");
+    });
+
+    it("Should renounce ownership and hand administration to governance", async function () {
+      const { governance, owner, agent1, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.transferOwnership(agent1.address);
+      await expect(governance.renounceOwnership())
+        .to.emit(governance, "SelfGovernanceEnabled")
+        .withArgs(owner.address)
+        .and.to.emit(governance, "OwnershipTransferred")
+        .withArgs(owner.address, ethers.ZeroAddress);
+      
+      expect(await governance.owner()).to.equal(ethers.ZeroAddress);
+      expect(await governance.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await governance.selfGoverned()).to.be.true;
+      await expect(
+        governance.grantRole(await governance.VERIFIER_ROLE(), agent1.address)
+      ).to.be.revertedWith("Only governance");
+      // The deployer keeps REGISTRAR_ROLE but can no longer use it
+      await expect(
+        governance.registerAgent(nonAgent.address, 10, "ipfs://late")
+      ).to.be.revertedWith("Only governance");
+    });
+  });
+
+  // ============ Self-Governance Tests ============
+  
+  describe("Self-Governance", function () {
+    it("Should only be enabled once, by the owner", async function () {
+      const { governance, owner, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(
+        governance.connect(agent1).enableSelfGovernance()
+      ).to.be.revertedWith("Only owner");
+      
+      await expect(governance.enableSelfGovernance())
+        .to.emit(governance, "SelfGovernanceEnabled")
+        .withArgs(owner.address);
+      expect(await governance.selfGoverned()).to.be.true;
+      
+      await expect(
+        governance.enableSelfGovernance()
+      ).to.be.revertedWith("Already self-governed");
+    });
+
+    it("Should reject parameter and agent changes from role holders", async function () {
+      const { governance, agent1, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.enableSelfGovernance();
+      
+      await expect(governance.updateQuorum(5000)).to.be.revertedWith("Only governance");
+      await expect(governance.updateVotingPeriod(10)).to.be.revertedWith("Only governance");
+      await expect(governance.updateVotingDelay(10)).to.be.revertedWith("Only governance");
+      await expect(governance.updateTimelockDelay(0)).to.be.revertedWith("Only governance");
+      await expect(
+        governance.registerAgent(nonAgent.address, 10, "ipfs://x")
+      ).to.be.revertedWith("Only governance");
+      await expect(governance.verifyAgent(agent1.address)).to.be.revertedWith("Only governance");
+      await expect(governance.updateVotingPower(agent1.address, 1)).to.be.revertedWith("Only governance");
+      await expect(governance.deactivateAgent(agent1.address)).to.be.revertedWith("Only governance");
+    });
+
+    it("Should keep the owner and cancellers from overriding a vote", async function () {
+      const { governance, agent1, agent2, nonAgent, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      const CANCELLER_ROLE = await governance.CANCELLER_ROLE();
+      
+      await governance.enableSelfGovernance();
+      
+      await expect(
+        governance.grantRole(CANCELLER_ROLE, nonAgent.address)
+      ).to.be.revertedWith("Only governance");
+      await expect(
+        governance.revokeRole(CANCELLER_ROLE, agent1.address)
+      ).to.be.revertedWith("Only governance");
+      // The deployer still holds CANCELLER_ROLE, but it no longer cancels other agents' proposals
+      await expect(governance.cancelProposal(proposalId)).to.be.revertedWith("Not authorized");
+      
+      // Roles now change only through a proposal
+      const tx = await governance.connect(agent2).createProposal(
+        "Appoint a canceller",
+        await governance.getAddress(),
+        governance.interface.encodeFunctionData("grantRole", [CANCELLER_ROLE, nonAgent.address])
+      );
+      const grantId = await proposalIdFromTx(governance, tx);
+      await passAndQueue(governance, [agent1, agent2], grantId);
+      await governance.executeProposal(grantId);
+      expect(await governance.hasRole(CANCELLER_ROLE, nonAgent.address)).to.be.true;
+      await expect(governance.connect(nonAgent).cancelProposal(proposalId)).to.be.revertedWith("Not authorized");
+      
+      await expect(governance.connect(agent1).cancelProposal(proposalId))
+        .to.emit(governance, "ProposalCanceled")
+        .withArgs(proposalId);
+    });
+
+    it("Should apply changes made by an executed proposal", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.enableSelfGovernance();
+      
+      const self = await governance.getAddress();
+      const tx = await governance.connect(agent1).createBatchProposal(
+        "Raise quorum and onboard a new agent",
+        [self, self],
+        [0, 0],
+        [
+          governance.interface.encodeFunctionData("updateQuorum", [5000]),
+          governance.interface.encodeFunctionData("registerAgent", [nonAgent.address, 25, "ipfs://new"]),
+        ]
+      );
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await passAndQueue(governance, [agent1, agent2], proposalId);
+      
+      await expect(governance.executeProposal(proposalId))
+        .to.emit(governance, "QuorumUpdated")
+        .withArgs(4000, 5000);
+      expect(await governance.quorumBasisPoints()).to.equal(5000);
+      expect((await governance.agents(nonAgent.address)).votingPower).to.equal(25);
+    });
+  });
+
+  // ============ Re-registration Tests ============
+  
+  describe("Re-registration", function () {
+    it("Should require reactivation instead of re-registering a deactivated agent", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.deactivateAgent(agent1.address);
+      
+      await expect(
+        governance.registerAgent(agent1.address, 100, "ipfs://agent1")
+      ).to.be.revertedWith("Agent already registered");
+      
+      await governance.reactivateAgent(agent1.address);
+      const agent = await governance.agents(agent1.address);
+      expect(agent.isRegistered).to.be.true;
+      expect(agent.isActive).to.be.true;
+      expect(agent.isVerified).to.be.true;
+      expect(await governance.getAllAgents()).to.have.lengthOf(3);
+    });
+
+    it("Should restore voting weight and the total voting power snapshot", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.deactivateAgent(agent1.address);
+      expect(await governance.getVotes(agent1.address)).to.equal(0);
+      
+      await governance.reactivateAgent(agent1.address);
+      const reactivatedAt = await time.latestBlock();
+      await time.advanceBlock();
+      
+      expect(await governance.getVotes(agent1.address)).to.equal(100);
+      expect(await governance.getPastTotalVotingPower(reactivatedAt)).to.equal(300);
+    });
+
+    it("Should only reactivate registered, inactive agents", async function () {
+      const { governance, agent1, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(
+        governance.reactivateAgent(nonAgent.address)
+      ).to.be.revertedWith("Agent not registered");
+      await expect(
+        governance.reactivateAgent(agent1.address)
+      ).to.be.revertedWith("Agent already active");
+      await expect(
+        governance.connect(agent1).reactivateAgent(agent1.address)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+
+  // ============ Proposal Limit Tests ============
+  
+  describe("Proposal Limits", function () {
+    it("Should require the proposal threshold", async function () {
+      const { governance, agent1, agent3 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.updateProposalThreshold(60))
+        .to.emit(governance, "ProposalThresholdUpdated")
+        .withArgs(0, 60);
+      
+      await expect(
+        governance.connect(agent3).createProposal("Too small", ethers.ZeroAddress, "0x")
+      ).to.be.revertedWith("Below proposal threshold");
+      await governance.connect(agent1).createProposal("Big enough", ethers.ZeroAddress, "0x");
+    });
+
+    it("Should enforce a cooldown between proposals", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.updateProposalCooldown(10))
+        .to.emit(governance, "ProposalCooldownUpdated")
+        .withArgs(0, 10);
+      
+      await governance.connect(agent1).createProposal("First", ethers.ZeroAddress, "0x");
+      await expect(
+        governance.connect(agent1).createProposal("Second", ethers.ZeroAddress, "0x")
+      ).to.be.revertedWith("Proposal cooldown active");
+      
+      await time.advanceBlockTo((await governance.lastProposalBlock(agent1.address)) + 9n);
+      await governance.connect(agent1).createProposal("Second", ethers.ZeroAddress, "0x");
+    });
+
+    it("Should cap concurrently active proposals per proposer", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.updateMaxActiveProposals(2))
+        .to.emit(governance, "MaxActiveProposalsUpdated")
+        .withArgs(0, 2);
+      
+      await governance.connect(agent1).createProposal("One", ethers.ZeroAddress, "0x");
+      const tx = await governance.connect(agent1).createProposal("Two", ethers.ZeroAddress, "0x");
+      const secondId = await proposalIdFromTx(governance, tx);
+      
+      await expect(
+        governance.connect(agent1).createProposal("Three", ethers.ZeroAddress, "0x")
+      ).to.be.revertedWith("Too many active proposals");
+      await governance.connect(agent2).createProposal("Other proposer", ethers.ZeroAddress, "0x");
+      
+      // A canceled proposal no longer counts
+      await governance.connect(agent1).cancelProposal(secondId);
+      await governance.connect(agent1).createProposal("Three", ethers.ZeroAddress, "0x");
+    });
+
+    it("Should free a slot once voting ends", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.updateMaxActiveProposals(1);
+      const tx = await governance.connect(agent1).createProposal("One", ethers.ZeroAddress, "0x");
+      const proposalId = await proposalIdFromTx(governance, tx);
+      
+      await time.advanceBlockTo((await governance.proposals(proposalId)).endBlock + 1n);
+      await governance.connect(agent1).createProposal("Two", ethers.ZeroAddress, "0x");
+    });
+
+    it("Should restrict limit changes to parameter admins", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.connect(agent1).updateProposalThreshold(1)).to.be.revertedWith("Missing role");
+      await expect(governance.connect(agent1).updateMaxActiveProposals(1)).to.be.revertedWith("Missing role");
+      await expect(governance.connect(agent1).updateProposalCooldown(1)).to.be.revertedWith("Missing role");
+    });
+  });
+
+  // ============ Early Finalization Tests ============
+  
+  describe("Early Finalization", function () {
+    it("Should keep proposals active for the full period by default", async function () {
+      const { governance, agent1, agent2, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      expect(await governance.earlyFinalization()).to.be.false;
+      await governance.connect(agent1).castVote(proposalId, 1);
+      await governance.connect(agent2).castVote(proposalId, 1);
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(1); // Active
+      expect(await governance.finalizedEarly(proposalId)).to.be.false;
+    });
+
+    it("Should finalize as Succeeded once the outstanding power cannot flip the vote", async function () {
+      const { governance, agent1, agent2, agent3, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await expect(governance.updateEarlyFinalization(true))
+        .to.emit(governance, "EarlyFinalizationUpdated")
+        .withArgs(true);
+      
+      // 150 For with 150 outstanding could still tie
+      await expect(governance.connect(agent2).castVote(proposalId, 1))
+        .to.not.emit(governance, "ProposalFinalizedEarly");
+      
+      // 250 For against at most 50 outstanding
+      await expect(governance.connect(agent1).castVote(proposalId, 1))
+        .to.emit(governance, "ProposalFinalizedEarly")
+        .withArgs(proposalId, 4); // Succeeded
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(4);
+      await expect(
+        governance.connect(agent3).castVote(proposalId, 0)
+      ).to.be.revertedWith("Voting closed early");
+      await expect(governance.queueProposal(proposalId)).to.emit(governance, "ProposalQueued");
+    });
+
+    it("Should finalize as Defeated once For can no longer win", async function () {
+      const { governance, agent2, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.updateEarlyFinalization(true);
+      
+      // 150 Against leaves at most 150 For
+      await expect(governance.connect(agent2).castVote(proposalId, 0))
+        .to.emit(governance, "ProposalFinalizedEarly")
+        .withArgs(proposalId, 3); // Defeated
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(3);
+    });
+
+    it("Should keep early-finalized proposals closed after the rule is turned off", async function () {
+      const { governance, agent2, agent3, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.updateEarlyFinalization(true);
+      await governance.connect(agent2).castVote(proposalId, 0);
+      await governance.updateEarlyFinalization(false);
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(3); // Defeated
+      await expect(
+        governance.connect(agent3).castVote(proposalId, 1)
+      ).to.be.revertedWith("Voting closed early");
+    });
+
+    it("Should restrict the early-close switch to parameter admins", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(
+        governance.connect(agent1).updateEarlyFinalization(true)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+
+  // ============ Vote Changing Tests ============
+  
+  describe("Vote Changing", function () {
+    it("Should reject a second vote by default", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      expect(await governance.voteChangesAllowed()).to.be.false;
+      await governance.connect(agent1).castVote(proposalId, 1);
+      await expect(
+        governance.connect(agent1).castVote(proposalId, 0)
+      ).to.be.revertedWith("Already voted");
+    });
+
+    it("Should move the voter's weight to the new choice", async function () {
+      const { governance, agent1, agent2, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await expect(governance.updateVoteChangesAllowed(true))
+        .to.emit(governance, "VoteChangesAllowedUpdated")
+        .withArgs(true);
+      
+      await governance.connect(agent1).castVote(proposalId, 1);
+      await governance.connect(agent2).castVote(proposalId, 0);
+      
+      await expect(governance.connect(agent2).castVote(proposalId, 2))
+        .to.emit(governance, "VoteChanged")
+        .withArgs(agent2.address, proposalId, 0, 2, 150)
+        .and.to.not.emit(governance, "VoteCast");
+      
+      const results = await governance.getVotingResults(proposalId);
+      expect(results.forVotes).to.equal(100);
+      expect(results.againstVotes).to.equal(0);
+      expect(results.abstainVotes).to.equal(150);
+      
+      const vote = await governance.getVote(proposalId, agent2.address);
+      expect(vote.choice).to.equal(2);
+      expect(vote.votingPower).to.equal(150);
+    });
+
+    it("Should not count a changed vote twice towards quorum", async function () {
+      const { governance, agent3, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.updateVoteChangesAllowed(true);
+      
+      // 50 of 300 is below the 40% quorum however often it is recast
+      await governance.connect(agent3).castVote(proposalId, 0);
+      await governance.connect(agent3).castVote(proposalId, 1);
+      await governance.connect(agent3).castVote(proposalId, 2);
+      
+      expect(await governance.hasReachedQuorum(proposalId)).to.be.false;
+    });
+
+    it("Should reject recasting the same choice or changing after voting ends", async function () {
+      const { governance, agent1, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.updateVoteChangesAllowed(true);
+      await governance.connect(agent1).castVote(proposalId, 1);
+      
+      await expect(
+        governance.connect(agent1).castVote(proposalId, 1)
+      ).to.be.revertedWith("Vote unchanged");
+      
+      await time.advanceBlockTo((await governance.proposals(proposalId)).endBlock + 1n);
+      await expect(
+        governance.connect(agent1).castVote(proposalId, 0)
+      ).to.be.revertedWith("Voting ended");
+    });
+
+    it("Should not finalize early while votes can be changed", async function () {
+      const { governance, agent2, proposalId } = await loadFixture(deployWithLiveProposalFixture);
+      
+      await governance.updateEarlyFinalization(true);
+      await governance.updateVoteChangesAllowed(true);
+      
+      await expect(governance.connect(agent2).castVote(proposalId, 0))
+        .to.not.emit(governance, "ProposalFinalizedEarly");
+      expect(await governance.getProposalState(proposalId)).to.equal(1); // Active
+    });
+
+    it("Should restrict the vote-change switch to parameter admins", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(
+        governance.connect(agent1).updateVoteChangesAllowed(true)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+
+  // ============ Guardian Tests ============
+  
+  describe("Guardian", function () {
+    async function deployWithGuardianFixture() {
+      const fixture = await deployWithSucceededProposalFixture();
+      const { governance, nonAgent } = fixture;
+      
+      await governance.setGuardian(nonAgent.address);
+      
+      return { ...fixture, guardian: nonAgent };
+    }
+
+    it("Should let the owner appoint and remove the guardian", async function () {
+      const { governance, agent1, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.setGuardian(nonAgent.address))
+        .to.emit(governance, "GuardianUpdated")
+        .withArgs(ethers.ZeroAddress, nonAgent.address);
+      expect(await governance.guardian()).to.equal(nonAgent.address);
+      
+      await expect(
+        governance.connect(agent1).setGuardian(agent1.address)
+      ).to.be.revertedWith("Only owner");
+      
+      await governance.setGuardian(ethers.ZeroAddress);
+      await expect(governance.connect(nonAgent).pause()).to.be.revertedWith("Only guardian");
+    });
+
+    it("Should veto a succeeded proposal", async function () {
+      const { governance, guardian, proposalId } = await loadFixture(deployWithGuardianFixture);
+      
+      await expect(governance.connect(guardian).vetoProposal(proposalId))
+        .to.emit(governance, "ProposalVetoed")
+        .withArgs(proposalId, guardian.address);
+      
+      expect(await governance.getProposalState(proposalId)).to.equal(8); // Vetoed
+      await expect(governance.queueProposal(proposalId)).to.be.revertedWith("Proposal not succeeded");
+    });
+
+    it("Should veto a queued proposal before execution", async function () {
+      const { governance, guardian, proposalId } = await loadFixture(deployWithGuardianFixture);
+      
+      await governance.queueProposal(proposalId);
+      await time.increaseTo((await governance.proposals(proposalId)).eta);
+      await governance.connect(guardian).vetoProposal(proposalId);
+      
+      await expect(governance.executeProposal(proposalId)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should only veto succeeded or queued proposals", async function () {
+      const { governance, agent1, guardian, proposalId } = await loadFixture(deployWithGuardianFixture);
+      
+      await expect(
+        governance.connect(agent1).vetoProposal(proposalId)
+      ).to.be.revertedWith("Only guardian");
+      
+      await governance.connect(agent1).createProposal("Pending", ethers.ZeroAddress, "0x");
+      await expect(
+        governance.connect(guardian).vetoProposal(proposalId + 1n)
+      ).to.be.revertedWith("Proposal not vetoable");
+    });
+
+    it("Should halt proposing, voting and execution while paused", async function () {
+      const { governance, agent1, agent3, guardian, proposalId } = await loadFixture(deployWithGuardianFixture);
+      
+      await governance.connect(agent1).createProposal("Live", ethers.ZeroAddress, "0x");
+      const liveId = proposalId + 1n;
+      await time.advanceBlockTo((await governance.proposals(liveId)).startBlock + 1n);
+      await governance.queueProposal(proposalId);
+      await time.increaseTo((await governance.proposals(proposalId)).eta);
+      
+      await expect(governance.connect(guardian).pause()).to.emit(governance, "Paused");
+      expect(await governance.paused()).to.be.true;
+      
+      await expect(
+        governance.connect(agent1).createProposal("Blocked", ethers.ZeroAddress, "0x")
+      ).to.be.revertedWith("Paused");
+      await expect(governance.connect(agent3).castVote(liveId, 1)).to.be.revertedWith("Paused");
+      await expect(governance.executeProposal(proposalId)).to.be.revertedWith("Paused");
+      expect(await governance.getProposalState(proposalId)).to.equal(5); // Queued
+      
+      await expect(governance.connect(guardian).unpause())
+        .to.emit(governance, "Unpaused")
+        .withArgs(guardian.address);
+      await expect(governance.executeProposal(proposalId)).to.emit(governance, "ProposalExecuted");
+    });
+
+    it("Should end a pause after PAUSE_DURATION and allow one pause per appointment", async function () {
+      const { governance, guardian } = await loadFixture(deployWithGuardianFixture);
+      
+      await governance.connect(guardian).pause();
+      await time.increaseTo((await governance.pausedUntil()) + 1n);
+      expect(await governance.paused()).to.be.false;
+      
+      await expect(governance.connect(guardian).pause()).to.be.revertedWith("Pause already used");
+      
+      await governance.setGuardian(guardian.address);
+      await governance.connect(guardian).pause();
+      expect(await governance.paused()).to.be.true;
+    });
+
+    it("Should let a proposal remove the guardian before self-governance", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.setGuardian(nonAgent.address);
+      const tx = await governance.connect(agent1).createProposal(
+        "Remove the guardian",
+        await governance.getAddress(),
+        governance.interface.encodeFunctionData("setGuardian", [ethers.ZeroAddress])
+      );
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await passAndQueue(governance, [agent1, agent2], proposalId);
+      
+      await expect(governance.executeProposal(proposalId))
+        .to.emit(governance, "GuardianUpdated")
+        .withArgs(nonAgent.address, ethers.ZeroAddress);
+      expect(await governance.guardian()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should let a self-governed proposal remove the guardian over its veto", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.setGuardian(nonAgent.address);
+      await governance.enableSelfGovernance();
+      const tx = await governance.connect(agent1).createProposal(
+        "Remove the guardian",
+        await governance.getAddress(),
+        governance.interface.encodeFunctionData("setGuardian", [ethers.ZeroAddress])
+      );
+      const proposalId = await proposalIdFromTx(governance, tx);
+      await passAndQueue(governance, [agent1, agent2], proposalId);
+      
+      await expect(
+        governance.connect(nonAgent).vetoProposal(proposalId)
+      ).to.be.revertedWith("Cannot veto guardian change");
+      
+      await expect(governance.executeProposal(proposalId))
+        .to.emit(governance, "GuardianUpdated")
+        .withArgs(nonAgent.address, ethers.ZeroAddress);
+      await expect(governance.connect(nonAgent).pause()).to.be.revertedWith("Only guardian");
+    });
+
+    it("Should only accept guardian changes from governance once self-governed", async function () {
+      const { governance } = await loadFixture(deployWithGuardianFixture);
+      
+      await governance.enableSelfGovernance();
+      await expect(
+        governance.setGuardian(ethers.ZeroAddress)
+      ).to.be.revertedWith("Only governance");
+    });
+  });
+
+  // ============ Verification Expiry Tests ============
+  
+  describe("Verification Expiry", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("Should keep verifications valid forever without a TTL", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await time.increase(365 * DAY);
+      expect(await governance.isVerificationValid(agent1.address)).to.be.true;
+      expect(await governance.verificationExpiresAt(agent1.address)).to.equal(0);
+      await expect(governance.verifyAgent(agent1.address)).to.be.revertedWith("Agent already verified");
+    });
+
+    it("Should reject expired agents once the TTL passes", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.updateVerificationTtl(30 * DAY))
+        .to.emit(governance, "VerificationTtlUpdated")
+        .withArgs(0, 30 * DAY);
+      
+      const expiresAt = await governance.verificationExpiresAt(agent1.address);
+      expect(expiresAt).to.equal((await governance.agents(agent1.address)).verifiedAt + BigInt(30 * DAY));
+      
+      await time.increase(30 * DAY);
+      expect(await governance.isVerificationValid(agent1.address)).to.be.false;
+      // The O(1) counter keeps expired verifications until they are renewed or revoked
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(3);
+      await expect(
+        governance.connect(agent1).createProposal("Expired", ethers.ZeroAddress, "0x")
+      ).to.be.revertedWith("Agent not verified");
+    });
+
+    it("Should renew a verification on re-attestation", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.updateVerificationTtl(30 * DAY);
+      await time.increase(40 * DAY);
+      
+      await expect(governance.verifyAgent(agent1.address))
+        .to.emit(governance, "AgentVerified")
+        .withArgs(agent1.address, (await ethers.getSigners())[0].address);
+      expect(await governance.isVerificationValid(agent1.address)).to.be.true;
+      await governance.connect(agent1).createProposal("Renewed", ethers.ZeroAddress, "0x");
+    });
+
+    it("Should revoke a verification", async function () {
+      const { governance, owner, agent1, agent2 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await expect(governance.revokeVerification(agent1.address))
+        .to.emit(governance, "VerificationRevoked")
+        .withArgs(agent1.address, owner.address);
+      
+      expect((await governance.agents(agent1.address)).isVerified).to.be.false;
+      await expect(
+        governance.connect(agent1).createProposal("Revoked", ethers.ZeroAddress, "0x")
+      ).to.be.revertedWith("Agent not verified");
+      await expect(governance.revokeVerification(agent1.address)).to.be.revertedWith("Agent not verified");
+      await expect(
+        governance.connect(agent2).revokeVerification(agent2.address)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+
+  // ============ Agent Counter Tests ============
+  
+  describe("Active Verified Agent Counter", function () {
+    it("Should track verification, revocation, deactivation and reactivation", async function () {
+      const { governance, agent1, agent2, nonAgent } = await loadFixture(deployLiveGovernanceFixture);
+      
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(3);
+      
+      await governance.registerAgent(nonAgent.address, 10, "ipfs://new");
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(3);
+      await governance.verifyAgent(nonAgent.address);
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(4);
+      
+      await governance.deactivateAgent(agent1.address);
+      await governance.revokeVerification(agent2.address);
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(2);
+      
+      // Revoking an inactive agent's verification does not count twice
+      await governance.revokeVerification(agent1.address);
+      await governance.reactivateAgent(agent1.address);
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(2);
+    });
+
+    it("Should not count renewals twice", async function () {
+      const { governance, agent1 } = await loadFixture(deployLiveGovernanceFixture);
+      
+      await governance.updateVerificationTtl(60);
+      await governance.verifyAgent(agent1.address);
+      expect(await governance.getActiveVerifiedAgentCount()).to.equal(3);
+    });
+  });
 });
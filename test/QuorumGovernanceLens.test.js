@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("QuorumGovernanceLens", function () {
+  // ============ Fixtures ============
+
+  async function deployLensFixture() {
+    const [owner, agent1, agent2, agent3, agent4] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+
+    const roster = [
+      [agent1, 100],
+      [agent2, 150],
+      [agent3, 50],
+      [agent4, 25],
+    ];
+    for (const [agent, power] of roster) {
+      await governance.registerAgent(agent.address, power, `ipfs://${power}`);
+    }
+    // agent3 stays unverified, agent4 is deactivated
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.verifyAgent(agent4.address);
+    await governance.deactivateAgent(agent4.address);
+
+    // The blocks mined after it put the first proposal in its voting period
+    await governance.connect(agent1).createProposal("First", ethers.ZeroAddress, "0x");
+    await governance.connect(agent2).createProposal("Second", ethers.ZeroAddress, "0x");
+    await governance.connect(agent1).createProposal("Third", ethers.ZeroAddress, "0x");
+
+    const Lens = await ethers.getContractFactory("QuorumGovernanceLens");
+    const lens = await Lens.deploy(await governance.getAddress());
+
+    return { governance, lens, owner, agent1, agent2, agent3, agent4 };
+  }
+
+  // ============ Agent Tests ============
+
+  describe("Agents", function () {
+    it("Should page through registered agents", async function () {
+      const { governance, lens, agent2, agent3 } = await loadFixture(deployLensFixture);
+
+      expect(await governance.getAgentCount()).to.equal(4);
+
+      const page = await lens.getAgents(1, 2);
+      expect(page.map((agent) => agent.agentAddress)).to.deep.equal([agent2.address, agent3.address]);
+      expect(page[0].votingPower).to.equal(150);
+
+      expect(await lens.getAgents(3, 10)).to.have.lengthOf(1);
+      expect(await lens.getAgents(4, 10)).to.have.lengthOf(0);
+      expect(await lens.getAgents(100, 10)).to.have.lengthOf(0);
+    });
+
+    it("Should filter active and active verified agents window by window", async function () {
+      const { lens, agent1, agent2, agent3 } = await loadFixture(deployLensFixture);
+
+      const [active, next] = await lens.getActiveAgents(0, 10);
+      expect(active).to.deep.equal([agent1.address, agent2.address, agent3.address]);
+      expect(next).to.equal(4);
+
+      const [firstWindow, afterFirst] = await lens.getActiveVerifiedAgents(0, 2);
+      expect(firstWindow).to.deep.equal([agent1.address, agent2.address]);
+      const [secondWindow, afterSecond] = await lens.getActiveVerifiedAgents(afterFirst, 2);
+      expect(secondWindow).to.deep.equal([]);
+      expect(afterSecond).to.equal(4);
+    });
+
+    it("Should leave out expired verifications", async function () {
+      const { governance, lens, agent2 } = await loadFixture(deployLensFixture);
+
+      await governance.updateVerificationTtl(3600);
+      await time.increase(3600);
+      await governance.verifyAgent(agent2.address);
+
+      const [verified] = await lens.getActiveVerifiedAgents(0, 10);
+      expect(verified).to.deep.equal([agent2.address]);
+    });
+
+    it("Should list verifications about to expire window by window", async function () {
+      const { governance, lens, agent1, agent2 } = await loadFixture(deployLensFixture);
+      const DAY = 24 * 60 * 60;
+
+      expect((await lens.getExpiringVerifications(365 * DAY, 0, 10))[0]).to.deep.equal([]);
+
+      await governance.updateVerificationTtl(30 * DAY);
+      await time.increase(25 * DAY);
+      await governance.verifyAgent(agent2.address);
+
+      // agent4's verification lapses next week too, but agent4 is deactivated
+      const [nextWeek, next] = await lens.getExpiringVerifications(7 * DAY, 0, 10);
+      expect(nextWeek).to.deep.equal([agent1.address]);
+      expect(next).to.equal(4);
+      expect((await lens.getExpiringVerifications(0, 0, 10))[0]).to.deep.equal([]);
+
+      const [firstWindow, afterFirst] = await lens.getExpiringVerifications(31 * DAY, 0, 1);
+      expect(firstWindow).to.deep.equal([agent1.address]);
+      const [secondWindow] = await lens.getExpiringVerifications(31 * DAY, afterFirst, 3);
+      expect(secondWindow).to.deep.equal([agent2.address]);
+    });
+  });
+
+  // ============ Proposal Tests ============
+
+  describe("Proposals", function () {
+    it("Should page through proposals with their current state", async function () {
+      const { governance, lens } = await loadFixture(deployLensFixture);
+
+      const page = await lens.getProposals(0, 2);
+      expect(page.map((proposal) => proposal.id)).to.deep.equal([1n, 2n]);
+      expect(page[0].description).to.equal("First");
+      expect(page[0].state).to.equal(1); // Active, not the stored Pending
+
+      expect((await lens.getProposals(2, 2)).map((proposal) => proposal.description)).to.deep.equal(["Third"]);
+      expect(await lens.getProposals(3, 2)).to.have.lengthOf(0);
+    });
+
+    it("Should list the voters on a proposal with their votes", async function () {
+      const { governance, lens, agent1, agent2 } = await loadFixture(deployLensFixture);
+
+      await governance.connect(agent2).castVote(1, 0);
+      await governance.connect(agent1).castVote(1, 1);
+
+      expect(await governance.getProposalVoterCount(1)).to.equal(2);
+
+      const [voters, ballots] = await lens.getProposalVoters(1, 0, 10);
+      expect(voters).to.deep.equal([agent2.address, agent1.address]);
+      expect(ballots.map((ballot) => ballot.choice)).to.deep.equal([0n, 1n]);
+      expect(ballots[1].votingPower).to.equal(100);
+
+      const [secondPage] = await lens.getProposalVoters(1, 1, 10);
+      expect(secondPage).to.deep.equal([agent1.address]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { validateConfig, planSync, checkPermissions, applySync } = require("../scripts/setup-agents");
+
+describe("setup-agents", function () {
+  // ============ Fixtures ============
+
+  async function deployRosterFixture() {
+    const [owner, agent1, agent2, agent3, agent4, other] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+
+    // agent1 is in sync, agent2 needs new weight, agent3 is deactivated, agent4 is unmanaged
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.registerAgent(agent3.address, 50, "ipfs://agent3");
+    await governance.registerAgent(agent4.address, 25, "ipfs://agent4");
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.deactivateAgent(agent3.address);
+
+    const config = {
+      agents: [
+        { address: agent1.address, votingPower: 100, metadata: "ipfs://agent1" },
+        { address: agent2.address, votingPower: 200, metadata: "ipfs://agent2", verified: false },
+        { address: agent3.address, votingPower: 50, metadata: "ipfs://agent3" },
+        { address: other.address, votingPower: "75", metadata: "ipfs://other", active: false },
+      ],
+    };
+
+    return { governance, config, owner, agent1, agent2, agent3, agent4, other };
+  }
+
+  // ============ Validation Tests ============
+
+  describe("Config Validation", function () {
+    it("Should normalize valid entries", async function () {
+      const { config, other } = await loadFixture(deployRosterFixture);
+
+      const agents = validateConfig(config);
+      expect(agents[3]).to.deep.equal({
+        address: other.address,
+        votingPower: 75n,
+        metadata: "ipfs://other",
+        verified: true,
+        active: false,
+      });
+    });
+
+    it("Should report every problem in the config", async function () {
+      const { agent1 } = await loadFixture(deployRosterFixture);
+
+      expect(() => validateConfig({ agents: [] })).to.throw("`agents` must be a non-empty array");
+      const invalid = {
+        agents: [
+          { address: agent1.address, votingPower: 10, metadata: "ipfs://a" },
+          { address: agent1.address.toLowerCase(), votingPower: 0, metadata: "" },
+          { address: "0x1234", votingPower: 1.5, metadata: "ipfs://c", votingpower: 1, active: "no" },
+        ],
+      };
+      expect(() => validateConfig(invalid)).to.throw(
+        [
+          "Invalid agent config:",
+          `- agents[1]: duplicate of agents[0] (${agent1.address})`,
+          "- agents[1]: `votingPower` must be a positive integer",
+          "- agents[1]: `metadata` must be a non-empty string",
+          "- agents[2]: unknown field `votingpower`",
+          "- agents[2]: `address` must be an address",
+          "- agents[2]: `votingPower` must be a positive integer",
+          "- agents[2]: `active` must be true or false",
+        ].join("\n")
+      );
+    });
+  });
+
+  // ============ Sync Tests ============
+
+  describe("Sync", function () {
+    it("Should plan the steps that reconcile the roster", async function () {
+      const { governance, config, agent2, agent3, agent4, other } = await loadFixture(deployRosterFixture);
+
+      const { steps, unmanaged } = await planSync(governance, validateConfig(config));
+      expect(steps.map((step) => [step.agent, step.action])).to.deep.equal([
+        [agent2.address, "updateVotingPower"],
+        [agent2.address, "revokeVerification"],
+        [agent3.address, "reactivate"],
+        [agent3.address, "verify"],
+        [other.address, "register"],
+        [other.address, "verify"],
+        [other.address, "deactivate"],
+      ]);
+      expect(unmanaged).to.deep.equal([agent4.address]);
+    });
+
+    it("Should apply the plan until nothing is left to do", async function () {
+      const { governance, config, agent2, other } = await loadFixture(deployRosterFixture);
+      const agents = validateConfig(config);
+
+      const { steps } = await planSync(governance, agents);
+      expect(await applySync(governance, steps)).to.deep.equal([]);
+
+      const synced = await governance.getAgent(other.address);
+      expect(synced.votingPower).to.equal(75);
+      expect(synced.isVerified).to.be.true;
+      expect(synced.isActive).to.be.false;
+      expect((await governance.getAgent(agent2.address)).votingPower).to.equal(200);
+      expect((await planSync(governance, agents)).steps).to.deep.equal([]);
+    });
+
+    it("Should report failed steps and skip the rest of that agent", async function () {
+      const { governance, config, owner, other } = await loadFixture(deployRosterFixture);
+      const { steps } = await planSync(governance, validateConfig(config));
+
+      // The registrar can send everything but the verifications
+      await governance.grantRole(await governance.REGISTRAR_ROLE(), other.address);
+      expect(await checkPermissions(governance, other.address, steps)).to.deep.equal([
+        `${other.address} is missing VERIFIER_ROLE`,
+      ]);
+      expect(await checkPermissions(governance, owner.address, steps)).to.deep.equal([]);
+
+      const failures = await applySync(governance.connect(other), steps);
+      expect(failures.map(({ step }) => [step.agent, step.action])).to.deep.equal([
+        [steps[1].agent, "revokeVerification"],
+        [steps[3].agent, "verify"],
+        [other.address, "verify"],
+      ]);
+      // The deactivation after the failed verification was skipped
+      expect((await governance.getAgent(other.address)).isActive).to.be.true;
+    });
+  });
+});
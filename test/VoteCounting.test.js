@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Vote Counting Strategies", function () {
+  // ============ Fixtures ============
+
+  async function deployCountingFixture() {
+    const [owner, agent1, agent2, agent3] = await ethers.getSigners();
+
+    const QuorumGovernance = await ethers.getContractFactory("QuorumGovernance");
+    const governance = await QuorumGovernance.deploy(
+      4000, // 40% quorum
+      100,  // 100 blocks voting period
+      1     // 1 block voting delay
+    );
+
+    await governance.registerAgent(agent1.address, 100, "ipfs://agent1");
+    await governance.registerAgent(agent2.address, 150, "ipfs://agent2");
+    await governance.registerAgent(agent3.address, 50, "ipfs://agent3");
+    await governance.verifyAgent(agent1.address);
+    await governance.verifyAgent(agent2.address);
+    await governance.verifyAgent(agent3.address);
+
+    const supermajority = await (await ethers.getContractFactory("SupermajorityCounting")).deploy(6667);
+    const absoluteMajority = await (await ethers.getContractFactory("AbsoluteMajorityCounting")).deploy();
+    const quadratic = await (await ethers.getContractFactory("QuadraticCounting")).deploy();
+
+    return { governance, owner, agent1, agent2, agent3, supermajority, absoluteMajority, quadratic };
+  }
+
+  // Create a signaling proposal under `strategy`, cast `ballots` ([signer, choice]) and end voting
+  async function voteWithStrategy(governance, strategy, proposer, ballots) {
+    await governance.updateCountingStrategy(strategy);
+
+    const proposalId = (await governance.proposalCount()) + 1n;
+    await governance.connect(proposer).createProposal("Counted proposal", ethers.ZeroAddress, "0x");
+
+    const proposal = await governance.proposals(proposalId);
+    await time.advanceBlockTo(proposal.startBlock + 1n);
+    for (const [voter, choice] of ballots) {
+      await governance.connect(voter).castVote(proposalId, choice);
+    }
+    await time.advanceBlockTo(proposal.endBlock + 1n);
+
+    return proposalId;
+  }
+
+  // ============ Strategy Tests ============
+
+  describe("Strategies", function () {
+    it("Should apply a supermajority threshold", async function () {
+      const { supermajority } = await loadFixture(deployCountingFixture);
+
+      expect(await supermajority.succeeded(2, 1, 0)).to.be.false;  // 66.66%
+      expect(await supermajority.succeeded(667, 333, 500)).to.be.true;
+      expect(await supermajority.succeeded(0, 0, 10)).to.be.false;
+    });
+
+    it("Should reject supermajority thresholds of a simple majority or less", async function () {
+      const SupermajorityCounting = await ethers.getContractFactory("SupermajorityCounting");
+
+      await expect(SupermajorityCounting.deploy(5000)).to.be.revertedWith("Invalid threshold");
+      await expect(SupermajorityCounting.deploy(10001)).to.be.revertedWith("Invalid threshold");
+    });
+
+    it("Should count abstentions against an absolute majority", async function () {
+      const { absoluteMajority } = await loadFixture(deployCountingFixture);
+
+      expect(await absoluteMajority.succeeded(150, 50, 100)).to.be.false;
+      expect(await absoluteMajority.succeeded(151, 50, 100)).to.be.true;
+    });
+
+    it("Should weight votes by the square root of voting power", async function () {
+      const { quadratic } = await loadFixture(deployCountingFixture);
+
+      expect(await quadratic.countedWeight(0)).to.equal(0);
+      expect(await quadratic.countedWeight(100)).to.equal(10);
+      expect(await quadratic.countedWeight(150)).to.equal(12);
+      expect(await quadratic.countedWeight(10n ** 36n)).to.equal(10n ** 18n);
+    });
+  });
+
+  // ============ Governance Integration Tests ============
+
+  describe("Governance Integration", function () {
+    it("Should use the built-in simple majority by default", async function () {
+      const { governance, agent1, agent2 } = await loadFixture(deployCountingFixture);
+
+      const proposalId = await voteWithStrategy(governance, ethers.ZeroAddress, agent1, [
+        [agent1, 0],
+        [agent2, 1],
+      ]);
+
+      expect(await governance.getProposalState(proposalId)).to.equal(4); // Succeeded
+      const [strategy, name] = await governance.getCountingRule(proposalId);
+      expect(strategy).to.equal(ethers.ZeroAddress);
+      expect(name).to.equal("simple-majority");
+    });
+
+    it("Should defeat a 60% vote under a two-thirds supermajority", async function () {
+      const { governance, agent1, agent2, supermajority } = await loadFixture(deployCountingFixture);
+
+      await expect(governance.updateCountingStrategy(await supermajority.getAddress()))
+        .to.emit(governance, "CountingStrategyUpdated")
+        .withArgs(ethers.ZeroAddress, await supermajority.getAddress());
+
+      const proposalId = await voteWithStrategy(governance, await supermajority.getAddress(), agent1, [
+        [agent1, 0],
+        [agent2, 1],
+      ]);
+
+      expect(await governance.getProposalState(proposalId)).to.equal(3); // Defeated
+      const [, name] = await governance.getCountingRule(proposalId);
+      expect(name).to.equal("supermajority");
+    });
+
+    it("Should tally quadratic weights while measuring quorum on raw power", async function () {
+      const { governance, agent1, agent2, agent3, quadratic } = await loadFixture(deployCountingFixture);
+
+      // Raw power ties 150 to 150; quadratic weights are 10 + 7 For vs 12 Against
+      const proposalId = await voteWithStrategy(governance, await quadratic.getAddress(), agent1, [
+        [agent1, 1],
+        [agent3, 1],
+        [agent2, 0],
+      ]);
+
+      const results = await governance.getVotingResults(proposalId);
+      expect(results.forVotes).to.equal(17);
+      expect(results.againstVotes).to.equal(12);
+      expect(results.quorumReached).to.be.true;
+      expect(await governance.getProposalState(proposalId)).to.equal(4); // Succeeded
+      expect((await governance.getVote(proposalId, agent1.address)).votingPower).to.equal(100);
+    });
+
+    it("Should bound outstanding quadratic votes by raw power when finalizing early", async function () {
+      const { governance, agent1, agent2, agent3, quadratic } = await loadFixture(deployCountingFixture);
+
+      await governance.updateEarlyFinalization(true);
+      await governance.updateCountingStrategy(await quadratic.getAddress());
+      await governance.connect(agent1).createProposal("Quadratic", ethers.ZeroAddress, "0x");
+      await time.advanceBlockTo((await governance.proposals(1)).startBlock + 1n);
+
+      // 22 weighted For votes do not exceed the 50 raw power still outstanding
+      await governance.connect(agent1).castVote(1, 1);
+      await governance.connect(agent2).castVote(1, 1);
+      expect(await governance.getProposalState(1)).to.equal(1); // Active
+
+      await expect(governance.connect(agent3).castVote(1, 0))
+        .to.emit(governance, "ProposalFinalizedEarly")
+        .withArgs(1, 4); // Succeeded
+    });
+
+    it("Should keep the strategy a proposal was created with", async function () {
+      const { governance, agent1, agent2, absoluteMajority } = await loadFixture(deployCountingFixture);
+
+      await governance.updateCountingStrategy(await absoluteMajority.getAddress());
+      await governance.connect(agent1).createProposal("Absolute", ethers.ZeroAddress, "0x");
+      await governance.updateCountingStrategy(ethers.ZeroAddress);
+
+      expect(await governance.proposalCountingStrategy(1)).to.equal(await absoluteMajority.getAddress());
+      const [, name] = await governance.getCountingRule(1);
+      expect(name).to.equal("absolute-majority");
+    });
+
+    it("Should only accept contracts as strategies", async function () {
+      const { governance, agent1 } = await loadFixture(deployCountingFixture);
+
+      await expect(
+        governance.updateCountingStrategy(agent1.address)
+      ).to.be.revertedWith("Invalid strategy");
+      await expect(
+        governance.connect(agent1).updateCountingStrategy(ethers.ZeroAddress)
+      ).to.be.revertedWith("Missing role");
+    });
+  });
+});